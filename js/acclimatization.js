@@ -0,0 +1,146 @@
+/**
+ * Acclimatization - Acclimatization State Engine
+ * Based on Transport Canada CAR 700 Subpart 7 (2021 Amendments)
+ *
+ * This module derives whether a pilot is acclimatized from logged duties:
+ * - The last location the pilot was acclimatized to
+ * - Time zone shift (and direction) between that location and the current one
+ * - Time elapsed since arriving at the current location
+ *
+ * Required periods come from RestCalculator's ACCLIMATIZATION_PERIODS
+ * (hours, by time zone difference category) in the active rule pack.
+ */
+
+const Acclimatization = (function() {
+    'use strict';
+
+    /**
+     * Hours between two zones' clocks at an instant
+     */
+    function zoneDifferenceHours(fromZone, toZone, instant) {
+        const difference = TimeZones.getOffsetMinutes(toZone, instant) - TimeZones.getOffsetMinutes(fromZone, instant);
+        return Math.round(Math.abs(difference) / 60);
+    }
+
+    /**
+     * Hours the pilot must spend at a location before being acclimatized to it
+     *
+     * @param {number} zoneDifference - Time zones from the acclimatized location
+     * @param {string} direction - 'east' or 'west' when the rule pack tells them apart
+     */
+    function getRequiredHours(zoneDifference, direction = null) {
+        const periods = RestCalculator.getDirectionalRules(direction).acclimatizationPeriods;
+        return periods[RestCalculator.getTimezoneCategory(zoneDifference)] || 0;
+    }
+
+    /**
+     * Get the zone a record ends in (falls back to where it started)
+     */
+    function getReleaseZone(record, fallbackZone) {
+        return record.releaseTimeZone || record.reportTimeZone || fallbackZone;
+    }
+
+    /**
+     * Derive acclimatization state from duty history
+     *
+     * @param {Array} records - Duty records (any order)
+     * @param {Object} options - Optional settings
+     * @param {Date|string} options.at - Instant to evaluate (default: now)
+     * @param {string} options.zone - Zone the pilot is at (default: where the last duty ended)
+     * @param {string} options.homeZone - Zone the pilot is acclimatized to with no history
+     * @returns {Object} Acclimatization state
+     */
+    function getState(records, options = {}) {
+        const at = options.at ? new Date(options.at) : new Date();
+        const homeZone = options.homeZone || TimeZones.getBrowserZone();
+
+        // Duties released before the evaluation instant, oldest first
+        const history = (records || [])
+            .filter(r => r.reportDateTime && r.releaseDateTime && new Date(r.releaseDateTime) <= at)
+            .sort((a, b) => new Date(a.reportDateTime) - new Date(b.reportDateTime));
+
+        let referenceZone = homeZone;
+        let location = { zone: homeZone, arrivedAt: null };
+
+        history.forEach(record => {
+            const departure = new Date(record.reportDateTime);
+            const arrivalZone = getReleaseZone(record, location.zone);
+
+            // Reporting somewhere new with no logged duty to get there
+            if (record.reportTimeZone && zoneDifferenceHours(location.zone, record.reportTimeZone, departure) > 0) {
+                location = { zone: record.reportTimeZone, arrivedAt: departure };
+            }
+
+            // Did the pilot become acclimatized to where they were before leaving?
+            if (location.arrivedAt) {
+                const shift = RestCalculator.getZoneShift(referenceZone, location.zone, departure);
+                const requiredHours = getRequiredHours(shift.zones, shift.direction);
+                if ((departure - location.arrivedAt) / 3600000 >= requiredHours) {
+                    referenceZone = location.zone;
+                }
+            }
+
+            if (zoneDifferenceHours(location.zone, arrivalZone, departure) > 0) {
+                location = { zone: arrivalZone, arrivedAt: new Date(record.releaseDateTime) };
+            } else {
+                location = { zone: arrivalZone, arrivedAt: location.arrivedAt };
+            }
+        });
+
+        // A location change with no logged duty is treated as a fresh arrival
+        const currentZone = options.zone || location.zone;
+        if (zoneDifferenceHours(location.zone, currentZone, at) > 0) {
+            location = { zone: currentZone, arrivedAt: at };
+        }
+
+        const shift = RestCalculator.getZoneShift(referenceZone, currentZone, at);
+        const zoneDifference = shift.zones;
+        const requiredHours = getRequiredHours(zoneDifference, shift.direction);
+        const arrivedAt = location.arrivedAt;
+        const elapsedMinutes = arrivedAt ? Math.max(0, Math.floor((at - arrivedAt) / 60000)) : null;
+        const requiredMinutes = requiredHours * 60;
+        const acclimatized = requiredMinutes === 0 || elapsedMinutes === null || elapsedMinutes >= requiredMinutes;
+
+        const state = {
+            acclimatized: acclimatized,
+            status: acclimatized ? 'acclimatized' : 'unacclimatized',
+            referenceZone: acclimatized ? currentZone : referenceZone,
+            currentZone: currentZone,
+            timeZoneDifference: zoneDifference,
+            timeZoneShift: shift.hours,
+            direction: shift.direction,
+            requiredHours: requiredHours,
+            arrivalDateTime: arrivedAt ? arrivedAt.toISOString() : null,
+            acclimatizedAtDateTime: null,
+            remainingMinutes: 0,
+            remainingFormatted: RestCalculator.formatDuration(0),
+            reason: ''
+        };
+
+        if (acclimatized) {
+            state.reason = zoneDifference === 0 || elapsedMinutes === null
+                ? 'At acclimatized location'
+                : `Acclimatized after ${requiredHours}h at location`;
+        } else {
+            state.remainingMinutes = requiredMinutes - elapsedMinutes;
+            state.remainingFormatted = RestCalculator.formatDuration(state.remainingMinutes);
+            state.acclimatizedAtDateTime = new Date(arrivedAt.getTime() + requiredMinutes * 60000).toISOString();
+            state.reason = `${zoneDifference} time zone(s) ${shift.direction} of last acclimatized location; ` +
+                `${requiredHours}h required at location`;
+        }
+
+        return state;
+    }
+
+    // Public API
+    return {
+        getState,
+        getRequiredHours,
+        zoneDifferenceHours
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Acclimatization;
+}
@@ -16,7 +16,15 @@
         currentDuty: null,
         preferences: null,
         initialized: false,
-        dutyTimerInterval: null
+        dutyTimerInterval: null,
+        currentRest: null,
+        restTimerInterval: null,
+        asOf: null,             // Dashboard instant (ISO), null = live
+        dutyChecksMinute: null, // Duty minute the checks were last updated at
+        rollingProjections: {}, // Rolling limit id -> { projected, limitReachedAt } at the last full update
+        rosterRecordsKey: null,   // Records the roster was last checked against
+        forecastRecordsKey: null, // Records the forecast was last made from
+        restCalculatorEdited: false // Rest Calculator fields changed by the pilot
     };
 
     /**
@@ -25,8 +33,16 @@
     const elements = {
         // Header
         currentTime: document.getElementById('currentTime'),
+        homeTime: document.getElementById('homeTime'),
         zuluTime: document.getElementById('zuluTime'),
+        currentZone: document.getElementById('currentZone'),
+        homeZone: document.getElementById('homeZone'),
         overallStatus: document.getElementById('overallStatus'),
+        asOfDateTime: document.getElementById('asOfDateTime'),
+        btnAsOfNow: document.getElementById('btnAsOfNow'),
+        timelineDays: document.getElementById('timelineDays'),
+        timelineChart: document.getElementById('timelineChart'),
+        timelineLegend: document.getElementById('timelineLegend'),
         
         // Compliance Cards
         fdpCard: document.getElementById('fdpCard'),
@@ -37,43 +53,104 @@
         fdpStatus: document.getElementById('fdpStatus'),
         
         // Duty Tracking Controls
+        startDutyType: document.getElementById('startDutyType'),
         btnStartDuty: document.getElementById('btnStartDuty'),
         btnEndDuty: document.getElementById('btnEndDuty'),
+        btnCallOut: document.getElementById('btnCallOut'),
+        dutyStandbyRow: document.getElementById('dutyStandbyRow'),
+        dutyStandbyInfo: document.getElementById('dutyStandbyInfo'),
         dutyInfo: document.getElementById('dutyInfo'),
+        restInfo: document.getElementById('restInfo'),
+        restReleaseTime: document.getElementById('restReleaseTime'),
+        restMinimumInfo: document.getElementById('restMinimumInfo'),
+        restRecommendedInfo: document.getElementById('restRecommendedInfo'),
+        restEarliestReport: document.getElementById('restEarliestReport'),
         dutyStartTime: document.getElementById('dutyStartTime'),
+        dutyFdpEnd: document.getElementById('dutyFdpEnd'),
+        dutyDelayInfo: document.getElementById('dutyDelayInfo'),
+        dutyWoclInfo: document.getElementById('dutyWoclInfo'),
+        btnReportDelay: document.getElementById('btnReportDelay'),
         activeDutySectors: document.getElementById('activeDutySectors'),
-        
-        flightTimeCard: document.getElementById('flightTimeCard'),
-        flightCurrent: document.getElementById('flightCurrent'),
-        flightMax: document.getElementById('flightMax'),
-        flightProgress: document.getElementById('flightProgress'),
-        flightRemaining: document.getElementById('flightRemaining'),
-        
-        duty7Card: document.getElementById('duty7Card'),
-        duty7Current: document.getElementById('duty7Current'),
-        duty7Progress: document.getElementById('duty7Progress'),
-        duty7Remaining: document.getElementById('duty7Remaining'),
-        
-        duty28Card: document.getElementById('duty28Card'),
-        duty28Current: document.getElementById('duty28Current'),
-        duty28Progress: document.getElementById('duty28Progress'),
-        duty28Remaining: document.getElementById('duty28Remaining'),
+        activeDutyPositioning: document.getElementById('activeDutyPositioning'),
+        activeDutyCrew: document.getElementById('activeDutyCrew'),
+        dutyBreakControls: document.getElementById('dutyBreakControls'),
+        activeBreakAccommodation: document.getElementById('activeBreakAccommodation'),
+        btnDutyBreak: document.getElementById('btnDutyBreak'),
+        dutyBreakRow: document.getElementById('dutyBreakRow'),
+        dutyExtensionInfo: document.getElementById('dutyExtensionInfo'),
+        btnDeclareExtension: document.getElementById('btnDeclareExtension'),
+        dutyBreakInfo: document.getElementById('dutyBreakInfo'),
+        planFlownSectors: document.getElementById('planFlownSectors'),
+        btnAddPlannedSector: document.getElementById('btnAddPlannedSector'),
+        plannerTable: document.getElementById('plannerTable'),
+        plannerBody: document.getElementById('plannerBody'),
+        plannerSummary: document.getElementById('plannerSummary'),
+        
+        acclimatizationCard: document.getElementById('acclimatizationCard'),
+        acclimatizationStatus: document.getElementById('acclimatizationStatus'),
+        acclimatizationState: document.getElementById('acclimatizationState'),
+        acclimatizationProgress: document.getElementById('acclimatizationProgress'),
+        acclimatizationRemaining: document.getElementById('acclimatizationRemaining'),
+        
+        weeklyOffCard: document.getElementById('weeklyOffCard'),
+        weeklyOffCurrent: document.getElementById('weeklyOffCurrent'),
+        weeklyOffProgress: document.getElementById('weeklyOffProgress'),
+        weeklyOffRemaining: document.getElementById('weeklyOffRemaining'),
+        
+        daysOffCard: document.getElementById('daysOffCard'),
+        daysOffCurrent: document.getElementById('daysOffCurrent'),
+        daysOffProgress: document.getElementById('daysOffProgress'),
+        daysOffRemaining: document.getElementById('daysOffRemaining'),
         
         // FDP Calculator
         fdpForm: document.getElementById('fdpForm'),
+        reportDate: document.getElementById('reportDate'),
         reportTime: document.getElementById('reportTime'),
+        reportZone: document.getElementById('reportZone'),
         sectors: document.getElementById('sectors'),
-        acclimatized: document.getElementById('acclimatized'),
+        positioningSectors: document.getElementById('positioningSectors'),
+        crewPilots: document.getElementById('crewPilots'),
+        restFacility: document.getElementById('restFacility'),
+        acclimatizationDisplay: document.getElementById('acclimatizationDisplay'),
+        breakAccommodation: document.getElementById('breakAccommodation'),
+        breakTimes: document.getElementById('breakTimes'),
+        breakStart: document.getElementById('breakStart'),
+        breakEnd: document.getElementById('breakEnd'),
+        delayNotified: document.getElementById('delayNotified'),
+        delayedReportTime: document.getElementById('delayedReportTime'),
+        delayedReportingResult: document.getElementById('delayedReportingResult'),
+        standbyType: document.getElementById('standbyType'),
+        standbyHours: document.getElementById('standbyHours'),
+        splitDutyResult: document.getElementById('splitDutyResult'),
+        standbyResult: document.getElementById('standbyResult'),
         maxFdpResult: document.getElementById('maxFdpResult'),
         endDutyResult: document.getElementById('endDutyResult'),
+        endDutyHomeResult: document.getElementById('endDutyHomeResult'),
+        endDutyZuluResult: document.getElementById('endDutyZuluResult'),
         woclResult: document.getElementById('woclResult'),
         
         // Rest Calculator
         restForm: document.getElementById('restForm'),
+        dutyEndDate: document.getElementById('dutyEndDate'),
         dutyEndTime: document.getElementById('dutyEndTime'),
+        dutyEndZone: document.getElementById('dutyEndZone'),
         dutyLength: document.getElementById('dutyLength'),
+        discretionUsed: document.getElementById('discretionUsed'),
+        travelToAccommodation: document.getElementById('travelToAccommodation'),
+        hotelCheckIn: document.getElementById('hotelCheckIn'),
+        travelFromAccommodation: document.getElementById('travelFromAccommodation'),
+        restSunrise: document.getElementById('restSunrise'),
+        restSunset: document.getElementById('restSunset'),
+        plannedNextReport: document.getElementById('plannedNextReport'),
+        sleepWoclZone: document.getElementById('sleepWoclZone'),
         timezonesCrossed: document.getElementById('timezonesCrossed'),
+        travelDirection: document.getElementById('travelDirection'),
+        restAcclimatizationResult: document.getElementById('restAcclimatizationResult'),
         minRestResult: document.getElementById('minRestResult'),
+        sleepWindowResult: document.getElementById('sleepWindowResult'),
+        sleepWoclResult: document.getElementById('sleepWoclResult'),
+        sleepDaylightResult: document.getElementById('sleepDaylightResult'),
+        sleepBreakdownResult: document.getElementById('sleepBreakdownResult'),
         nextReportResult: document.getElementById('nextReportResult'),
         recommendedRestResult: document.getElementById('recommendedRestResult'),
         
@@ -81,10 +158,58 @@
         loggerForm: document.getElementById('loggerForm'),
         logDate: document.getElementById('logDate'),
         logReportTime: document.getElementById('logReportTime'),
+        logReportZone: document.getElementById('logReportZone'),
+        logReleaseDate: document.getElementById('logReleaseDate'),
         logReleaseTime: document.getElementById('logReleaseTime'),
+        logReleaseZone: document.getElementById('logReleaseZone'),
+        logDutyType: document.getElementById('logDutyType'),
+        logCrew: document.getElementById('logCrew'),
+        logSectors: document.getElementById('logSectors'),
         logFlightTime: document.getElementById('logFlightTime'),
+        logPositioningSectors: document.getElementById('logPositioningSectors'),
+        logPositioningTime: document.getElementById('logPositioningTime'),
         historyBody: document.getElementById('historyBody'),
-        clearHistory: document.getElementById('clearHistory')
+        clearHistory: document.getElementById('clearHistory'),
+        
+        // Roster Planner
+        rosterForm: document.getElementById('rosterForm'),
+        planDate: document.getElementById('planDate'),
+        planReportTime: document.getElementById('planReportTime'),
+        planReportZone: document.getElementById('planReportZone'),
+        planReleaseTime: document.getElementById('planReleaseTime'),
+        planReleaseZone: document.getElementById('planReleaseZone'),
+        planSectors: document.getElementById('planSectors'),
+        planBlockTime: document.getElementById('planBlockTime'),
+        rosterSummary: document.getElementById('rosterSummary'),
+        rosterBody: document.getElementById('rosterBody'),
+        btnImportRoster: document.getElementById('btnImportRoster'),
+        btnClearRoster: document.getElementById('btnClearRoster'),
+        rosterFile: document.getElementById('rosterFile'),
+        
+        // Availability Forecast
+        forecastForm: document.getElementById('forecastForm'),
+        forecastDuty: document.getElementById('forecastDuty'),
+        forecastBlock: document.getElementById('forecastBlock'),
+        forecastSectors: document.getElementById('forecastSectors'),
+        forecastCrew: document.getElementById('forecastCrew'),
+        forecastZone: document.getElementById('forecastZone'),
+        forecastSummary: document.getElementById('forecastSummary'),
+        forecastBody: document.getElementById('forecastBody'),
+        
+        // Audit Log
+        btnExportAudit: document.getElementById('btnExportAudit'),
+        auditSummary: document.getElementById('auditSummary'),
+        auditBody: document.getElementById('auditBody'),
+        
+        // Quick Reference / Rule Packs
+        rulePackSelect: document.getElementById('rulePackSelect'),
+        btnLoadRulePack: document.getElementById('btnLoadRulePack'),
+        btnRemoveRulePack: document.getElementById('btnRemoveRulePack'),
+        rulePackFile: document.getElementById('rulePackFile'),
+        fdpReferenceHead: document.getElementById('fdpReferenceHead'),
+        fdpReferenceBody: document.getElementById('fdpReferenceBody'),
+        limitsList: document.getElementById('limitsList'),
+        thresholdList: document.getElementById('thresholdList')
     };
 
     /**
@@ -95,27 +220,56 @@
         
         // Load preferences
         state.preferences = StorageManager.getPreferences();
+        ComplianceChecker.setThresholds(state.preferences);
+        
+        // Records saved by older versions get their timestamps
+        if (!StorageManager.migrateDutyRecords().success) {
+            showToast('Failed to save updated duty records', 'error');
+        }
+        
+        // Register saved rule packs and select the active one
+        const rulePackLoad = loadRulePacks();
+        if (rulePackLoad.skipped.length > 0) {
+            showToast(`Saved rule pack not loaded: ${rulePackLoad.skipped.map(item => `${item.name} (${item.error})`).join('; ')}`, 'warning');
+        }
+        renderThresholds();
+        
+        // Fill time zone selectors
+        renderZoneOptions();
         
-        // Set default date to today
-        elements.logDate.valueAsDate = new Date();
+        // Set default dates to today (where the pilot is now)
+        const today = TimeZones.getZonedParts(new Date(), getCurrentZone()).date;
+        elements.reportDate.value = today;
+        elements.logDate.value = today;
+        elements.logReleaseDate.value = today;
+        elements.dutyEndDate.value = today;
+        elements.planDate.value = today;
         
         // Start clock updates
         updateClock();
         setInterval(updateClock, 1000);
         
+        // Acclimatization countdown
+        setInterval(updateAcclimatizationCard, 60000);
+        
         // Bind event listeners
         bindEvents();
         
         // Load and display duty history
         loadHistory();
         
-        // Update compliance dashboard
-        updateComplianceDashboard();
-        
         // Check for active duty and restore if exists
         restoreActiveDuty();
         
+        // Otherwise pick up a rest in progress
+        restoreActiveRest();
+        
         state.initialized = true;
+        
+        // Update compliance dashboard, logging changes since the last visit
+        // now that any duty in progress is restored
+        updateComplianceDashboard();
+        renderAuditLog();
         console.log('ACP700 Duty Manager initialized');
     }
 
@@ -126,24 +280,83 @@
         // FDP Calculator form
         elements.fdpForm.addEventListener('submit', handleFDPCalculation);
         
+        // Alert thresholds
+        elements.thresholdList.addEventListener('change', handleThresholdChange);
+        
+        // As-of view and timeline
+        elements.asOfDateTime.addEventListener('change', handleAsOfChange);
+        elements.btnAsOfNow.addEventListener('click', () => {
+            elements.asOfDateTime.value = '';
+            handleAsOfChange();
+        });
+        elements.timelineDays.addEventListener('change', () => {
+            renderTimeline(StorageManager.getDutyRecords());
+        });
+        
         // Rest Calculator form
         elements.restForm.addEventListener('submit', handleRestCalculation);
+        elements.restForm.addEventListener('input', () => { state.restCalculatorEdited = true; });
         
         // Duty Logger form
         elements.loggerForm.addEventListener('submit', handleLogDuty);
+        elements.logDate.addEventListener('change', handleLogDateChange);
+        elements.logDutyType.addEventListener('change', handleLogDutyTypeChange);
         
         // Clear history button
         elements.clearHistory.addEventListener('click', handleClearHistory);
         
+        // Roster Planner
+        elements.rosterForm.addEventListener('submit', handleAddPlannedDuty);
+        elements.btnImportRoster.addEventListener('click', () => elements.rosterFile.click());
+        elements.rosterFile.addEventListener('change', handleRosterFile);
+        elements.btnClearRoster.addEventListener('click', handleClearRoster);
+        
+        // Availability Forecast
+        elements.forecastForm.addEventListener('submit', handleForecast);
+        
+        // Audit Log
+        elements.btnExportAudit.addEventListener('click', handleExportAudit);
+        
         // Real-time FDP preview on input change
+        elements.reportDate.addEventListener('change', previewFDP);
         elements.reportTime.addEventListener('change', previewFDP);
+        elements.reportZone.addEventListener('change', previewFDP);
         elements.sectors.addEventListener('change', previewFDP);
-        elements.acclimatized.addEventListener('change', previewFDP);
+        elements.positioningSectors.addEventListener('change', previewFDP);
+        elements.crewPilots.addEventListener('change', handleCrewPilotsChange);
+        elements.restFacility.addEventListener('change', previewFDP);
+        elements.breakAccommodation.addEventListener('change', handleBreakAccommodationChange);
+        elements.breakStart.addEventListener('change', previewFDP);
+        elements.breakEnd.addEventListener('change', previewFDP);
+        elements.delayNotified.addEventListener('change', previewFDP);
+        elements.delayedReportTime.addEventListener('change', previewFDP);
+        elements.standbyType.addEventListener('change', handleStandbyTypeChange);
+        elements.standbyHours.addEventListener('change', previewFDP);
         
         // Duty tracking controls
         elements.btnStartDuty.addEventListener('click', handleStartDuty);
         elements.btnEndDuty.addEventListener('click', handleEndDuty);
+        elements.btnCallOut.addEventListener('click', handleCallOut);
         elements.activeDutySectors.addEventListener('change', handleSectorsChange);
+        elements.activeDutyPositioning.addEventListener('change', handlePositioningChange);
+        elements.activeDutyCrew.addEventListener('change', handleCrewChange);
+        elements.btnDutyBreak.addEventListener('click', handleDutyBreak);
+        elements.btnDeclareExtension.addEventListener('click', handleDeclareExtension);
+        elements.btnReportDelay.addEventListener('click', handleReportDelay);
+        elements.planFlownSectors.addEventListener('change', handlePlanFlownChange);
+        elements.btnAddPlannedSector.addEventListener('click', handleAddPlannedSector);
+        elements.plannerBody.addEventListener('change', handlePlannerInput);
+        elements.plannerBody.addEventListener('click', handlePlannerClick);
+        
+        // Location and home base
+        elements.currentZone.addEventListener('change', handleZonePreferenceChange);
+        elements.homeZone.addEventListener('change', handleZonePreferenceChange);
+        
+        // Rule pack controls
+        elements.rulePackSelect.addEventListener('change', handleRulePackChange);
+        elements.btnLoadRulePack.addEventListener('click', () => elements.rulePackFile.click());
+        elements.rulePackFile.addEventListener('change', handleRulePackFile);
+        elements.btnRemoveRulePack.addEventListener('click', handleRemoveRulePack);
     }
 
     /**
@@ -152,22 +365,87 @@
     function updateClock() {
         const now = new Date();
         
-        // Local time
-        const localTime = now.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: false
-        });
-        elements.currentTime.textContent = localTime;
+        // Local time where the pilot is now
+        elements.currentTime.textContent = TimeZones.format(now, getCurrentZone(), { withZone: true });
+        
+        // Home base time
+        elements.homeTime.textContent = 'HOME ' + TimeZones.format(now, getHomeZone(), { withZone: true });
         
         // Zulu (UTC) time
-        const zuluTime = now.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: false,
-            timeZone: 'UTC'
+        elements.zuluTime.textContent = TimeZones.format(now, 'UTC') + ' Z';
+    }
+
+    /**
+     * Home base time zone (defaults to the browser's zone)
+     */
+    function getHomeZone() {
+        return state.preferences.homeBase || TimeZones.getBrowserZone();
+    }
+
+    /**
+     * Time zone where the pilot is now (defaults to home base)
+     */
+    function getCurrentZone() {
+        return state.preferences.currentZone || getHomeZone();
+    }
+
+    /**
+     * Fill every time zone selector and select the sensible default
+     */
+    function renderZoneOptions() {
+        const zonesInUse = [state.preferences.homeBase, state.preferences.currentZone];
+        StorageManager.getDutyRecords().concat(StorageManager.getRosterPlan()).forEach(record => {
+            zonesInUse.push(record.reportTimeZone, record.releaseTimeZone);
+        });
+        
+        const options = TimeZones.listZones(zonesInUse.filter(Boolean)).map(item =>
+            `<option value="${escapeHtml(item.zone)}">${escapeHtml(item.label)}</option>`
+        ).join('');
+        
+        const selects = [
+            elements.currentZone, elements.homeZone, elements.reportZone,
+            elements.dutyEndZone, elements.logReportZone, elements.logReleaseZone,
+            elements.planReportZone, elements.planReleaseZone, elements.forecastZone
+        ];
+        selects.forEach(select => {
+            select.innerHTML = options;
+        });
+        
+        elements.homeZone.value = getHomeZone();
+        elements.currentZone.value = getCurrentZone();
+        elements.reportZone.value = getCurrentZone();
+        elements.dutyEndZone.value = getCurrentZone();
+        elements.logReportZone.value = getCurrentZone();
+        elements.logReleaseZone.value = getCurrentZone();
+        elements.planReportZone.value = getHomeZone();
+        elements.planReleaseZone.value = getHomeZone();
+        elements.forecastZone.value = getCurrentZone();
+    }
+
+    /**
+     * Save location / home base changes from the header selectors
+     */
+    function handleZonePreferenceChange() {
+        const homeBase = elements.homeZone.value;
+        const currentZone = elements.currentZone.value;
+        
+        StorageManager.savePreferences({
+            homeBase: homeBase,
+            currentZone: currentZone === homeBase ? null : currentZone
         });
-        elements.zuluTime.textContent = zuluTime + ' Z';
+        state.preferences = StorageManager.getPreferences();
+        
+        // New entries default to where the pilot is now
+        elements.reportZone.value = getCurrentZone();
+        elements.dutyEndZone.value = getCurrentZone();
+        elements.logReportZone.value = getCurrentZone();
+        elements.logReleaseZone.value = getCurrentZone();
+        
+        updateClock();
+        updateAcclimatizationCard();
+        if (state.currentDuty) {
+            updateDutyDisplay();
+        }
     }
 
     /**
@@ -176,21 +454,46 @@
     function handleFDPCalculation(e) {
         e.preventDefault();
         
+        const reportDate = elements.reportDate.value;
         const reportTime = elements.reportTime.value;
+        const reportZone = elements.reportZone.value;
         const sectors = elements.sectors.value;
-        const acclimatization = elements.acclimatized.value;
         
-        if (!reportTime) {
-            showToast('Please enter a report time', 'warning');
+        if (!reportDate || !reportTime) {
+            showToast('Please enter a report date and time', 'warning');
+            return;
+        }
+        
+        const reportInstant = TimeZones.fromZonedDateTime(reportDate, reportTime, reportZone);
+        const acclimatization = getAcclimatization(reportInstant, reportZone);
+        renderAcclimatizationField(acclimatization);
+        const splitDuty = getSplitDutyInput();
+        if (splitDuty && (!splitDuty.breakStart || !splitDuty.breakEnd)) {
+            showToast('Please enter the break start and end times', 'warning');
+            return;
+        }
+        const standby = getStandbyInput();
+        if (standby && isNaN(standby.minutes)) {
+            showToast('Please enter the time spent on standby', 'warning');
+            return;
+        }
+        const delayedReporting = getDelayedReportingInput();
+        if (delayedReporting && (!delayedReporting.notificationTime || !delayedReporting.delayedReportTime)) {
+            showToast('Please enter both the delay notification and delayed report times', 'warning');
             return;
         }
         
-        const result = FDPCalculator.calculate(reportTime, sectors, acclimatization);
+        const result = FDPCalculator.calculate(reportInstant || reportTime, sectors, acclimatization, {
+            timeZone: reportZone,
+            splitDuty: splitDuty,
+            crew: getCrewInput(),
+            standby: standby,
+            positioningSectors: elements.positioningSectors.value,
+            delayedReporting: delayedReporting
+        });
         
         if (result.success) {
-            elements.maxFdpResult.textContent = result.maxFDPReadable;
-            elements.endDutyResult.textContent = result.endOfDutyFormatted;
-            elements.woclResult.textContent = result.woclInfo;
+            renderFDPResult(result);
             
             // Highlight result panel
             const resultPanel = document.getElementById('fdpResult');
@@ -208,18 +511,344 @@
      * Preview FDP as user changes inputs
      */
     function previewFDP() {
+        const reportDate = elements.reportDate.value;
         const reportTime = elements.reportTime.value;
+        const reportZone = elements.reportZone.value;
         const sectors = elements.sectors.value;
-        const acclimatization = elements.acclimatized.value;
-        
-        if (!reportTime) return;
         
-        const result = FDPCalculator.calculate(reportTime, sectors, acclimatization);
+        if (!reportDate || !reportTime) return;
+        
+        const reportInstant = TimeZones.fromZonedDateTime(reportDate, reportTime, reportZone);
+        const acclimatization = getAcclimatization(reportInstant, reportZone);
+        renderAcclimatizationField(acclimatization);
+        const splitDuty = getSplitDutyInput();
+        if (splitDuty && (!splitDuty.breakStart || !splitDuty.breakEnd)) return;
+        const standby = getStandbyInput();
+        if (standby && isNaN(standby.minutes)) return;
+        const delayedReporting = getDelayedReportingInput();
+        if (delayedReporting && (!delayedReporting.notificationTime || !delayedReporting.delayedReportTime)) return;
+        
+        const result = FDPCalculator.calculate(reportInstant || reportTime, sectors, acclimatization, {
+            timeZone: reportZone,
+            splitDuty: splitDuty,
+            crew: getCrewInput(),
+            standby: standby,
+            positioningSectors: elements.positioningSectors.value,
+            delayedReporting: delayedReporting
+        });
         
         if (result.success) {
-            elements.maxFdpResult.textContent = result.maxFDPReadable;
+            renderFDPResult(result);
+        }
+    }
+
+    /**
+     * Read the crew composition from the FDP form
+     */
+    function getCrewInput() {
+        return {
+            pilots: parseInt(elements.crewPilots.value, 10),
+            facility: elements.restFacility.value
+        };
+    }
+
+    /**
+     * Rest facility only applies to augmented crews
+     */
+    function handleCrewPilotsChange() {
+        const augmented = parseInt(elements.crewPilots.value, 10) > 2;
+        elements.restFacility.disabled = !augmented;
+        
+        // Augmented crews cannot also claim a split duty break
+        elements.breakAccommodation.disabled = augmented || !FDPCalculator.getSplitDutyRules();
+        if (augmented) {
+            elements.breakAccommodation.value = '';
+            elements.breakTimes.style.display = 'none';
+        }
+        
+        previewFDP();
+    }
+
+    /**
+     * Parse a combined crew selector value ("2" or "3:class-1")
+     */
+    function parseCrewValue(value) {
+        const [pilots, facility] = String(value || '2').split(':');
+        return { pilots: parseInt(pilots, 10) || 2, facility: facility || null };
+    }
+
+    /**
+     * Combined crew selector value for a duty or record
+     */
+    function toCrewValue(pilots, facility) {
+        return pilots > 2 && facility ? `${pilots}:${facility}` : '2';
+    }
+
+    /**
+     * Fill the crew composition selectors from the active rule pack
+     */
+    function renderCrewOptions() {
+        const rules = FDPCalculator.getAugmentedRules();
+        const crewSizes = rules ? Object.keys(rules.table) : [];
+        const facilities = rules ? rules.facilities : {};
+        
+        const selectedPilots = elements.crewPilots.value;
+        elements.crewPilots.innerHTML = '<option value="2">2 Pilots</option>' + crewSizes.map(pilots =>
+            `<option value="${escapeHtml(pilots)}">${escapeHtml(pilots)} Pilots (Augmented)</option>`
+        ).join('');
+        elements.crewPilots.value = crewSizes.includes(selectedPilots) ? selectedPilots : '2';
+        
+        const selectedFacility = elements.restFacility.value;
+        elements.restFacility.innerHTML = Object.keys(facilities).map(facility =>
+            `<option value="${escapeHtml(facility)}">${escapeHtml(facilities[facility].name)}</option>`
+        ).join('');
+        if (facilities[selectedFacility]) {
+            elements.restFacility.value = selectedFacility;
+        }
+        
+        // Combined "pilots + facility" options for compact selectors
+        const combined = '<option value="2">2 Pilots</option>' + crewSizes.map(pilots =>
+            Object.keys(facilities).map(facility =>
+                `<option value="${escapeHtml(toCrewValue(pilots, facility))}">` +
+                `${escapeHtml(pilots)}P &middot; ${escapeHtml(facilities[facility].name)}</option>`
+            ).join('')
+        ).join('');
+        
+        [elements.logCrew, elements.activeDutyCrew, elements.forecastCrew].forEach(select => {
+            const selected = select.value;
+            select.innerHTML = combined;
+            select.value = selected;
+            if (select.value !== selected) select.value = '2';
+        });
+        
+        handleCrewPilotsChange();
+    }
+
+    /**
+     * Read the split duty break from the FDP form (break times are local at departure)
+     */
+    function getSplitDutyInput() {
+        if (!elements.breakAccommodation.value) return undefined;
+        
+        return {
+            breakStart: elements.breakStart.value,
+            breakEnd: elements.breakEnd.value,
+            accommodation: elements.breakAccommodation.value
+        };
+    }
+
+    /**
+     * Show break times only when a split duty break is selected
+     */
+    function handleBreakAccommodationChange() {
+        elements.breakTimes.style.display = elements.breakAccommodation.value ? 'flex' : 'none';
+        previewFDP();
+    }
+
+    /**
+     * Fill the split duty accommodation selectors from the active rule pack
+     */
+    function renderSplitDutyOptions() {
+        const rules = FDPCalculator.getSplitDutyRules();
+        const accommodations = rules ? rules.accommodations : {};
+        const options = Object.keys(accommodations).map(type =>
+            `<option value="${escapeHtml(type)}">${escapeHtml(accommodations[type].name)}</option>`
+        ).join('');
+        
+        const selected = elements.breakAccommodation.value;
+        elements.breakAccommodation.innerHTML = '<option value="">No break</option>' + options;
+        elements.breakAccommodation.value = accommodations[selected] ? selected : '';
+        elements.breakAccommodation.disabled = !rules;
+        elements.breakTimes.style.display = elements.breakAccommodation.value ? 'flex' : 'none';
+        
+        elements.activeBreakAccommodation.innerHTML = options;
+        elements.dutyBreakControls.style.display = rules ? 'flex' : 'none';
+    }
+
+    /**
+     * Standby and reserve duty types in the active rule pack
+     */
+    function getStandbyTypes() {
+        const rules = FDPCalculator.getStandbyRules();
+        return rules ? rules.types : {};
+    }
+
+    /**
+     * Whether a duty or record is standby or reserve rather than a flying duty
+     */
+    function isStandbyDuty(duty) {
+        return (duty.dutyType || 'flight') !== 'flight';
+    }
+
+    /**
+     * Read standby before report from the FDP form
+     */
+    function getStandbyInput() {
+        if (!elements.standbyType.value) return undefined;
+        
+        return {
+            type: elements.standbyType.value,
+            minutes: elements.standbyHours.value === ''
+                ? NaN
+                : Math.round(parseFloat(elements.standbyHours.value) * 60)
+        };
+    }
+
+    /**
+     * Read a delayed report from the FDP form (times are local at departure;
+     * Report Time is the original report)
+     */
+    function getDelayedReportingInput() {
+        if (!elements.delayNotified.value && !elements.delayedReportTime.value) return undefined;
+        
+        return {
+            notificationTime: elements.delayNotified.value,
+            delayedReportTime: elements.delayedReportTime.value
+        };
+    }
+
+    /**
+     * Standby hours only apply when a standby type is selected
+     */
+    function handleStandbyTypeChange() {
+        elements.standbyHours.disabled = !elements.standbyType.value;
+        previewFDP();
+    }
+
+    /**
+     * Flight time and crew only apply to flying duties
+     */
+    function handleLogDutyTypeChange() {
+        const standby = elements.logDutyType.value !== 'flight';
+        [elements.logFlightTime, elements.logCrew, elements.logSectors,
+            elements.logPositioningSectors, elements.logPositioningTime].forEach(field => {
+            field.disabled = standby;
+        });
+        if (standby) {
+            elements.logFlightTime.value = '';
+            elements.logPositioningTime.value = '';
+            elements.logCrew.value = '2';
+            elements.logSectors.value = '0';
+            elements.logPositioningSectors.value = '0';
+        } else if (elements.logSectors.value === '0' && elements.logPositioningSectors.value === '0') {
+            elements.logSectors.value = '1';
+        }
+    }
+
+    /**
+     * Fill the duty type selectors from the active rule pack
+     */
+    function renderStandbyOptions() {
+        const types = getStandbyTypes();
+        const options = Object.keys(types).map(type =>
+            `<option value="${escapeHtml(type)}">${escapeHtml(types[type].name)}</option>`
+        ).join('');
+        
+        [elements.startDutyType, elements.logDutyType].forEach(select => {
+            const selected = select.value;
+            select.innerHTML = '<option value="flight">Flight duty</option>' + options;
+            select.value = types[selected] ? selected : 'flight';
+        });
+        
+        const selected = elements.standbyType.value;
+        elements.standbyType.innerHTML = '<option value="">No standby</option>' + options;
+        elements.standbyType.value = types[selected] ? selected : '';
+        elements.standbyType.disabled = !options;
+        elements.standbyHours.disabled = !elements.standbyType.value;
+        
+        handleLogDutyTypeChange();
+    }
+
+    /**
+     * Derive acclimatization at a report instant and place from logged duties
+     */
+    function getAcclimatization(at, zone) {
+        return Acclimatization.getState(StorageManager.getDutyRecords(), {
+            at: at || new Date(),
+            zone: zone,
+            homeZone: getHomeZone()
+        });
+    }
+
+    /**
+     * Where the crew member was at an instant: the release zone of the last
+     * duty released by then, or home base
+     */
+    function getZoneAt(at) {
+        const atMs = new Date(at).getTime();
+        const last = StorageManager.getDutyRecords()
+            .filter(record => new Date(record.releaseDateTime).getTime() <= atMs)
+            .sort((a, b) => new Date(b.releaseDateTime) - new Date(a.releaseDateTime))[0];
+        return last ? last.releaseTimeZone : getHomeZone();
+    }
+
+    /**
+     * Show the derived acclimatization status in the FDP calculator
+     */
+    function renderAcclimatizationField(acclimatization) {
+        const field = elements.acclimatizationDisplay;
+        field.textContent = acclimatization.acclimatized ? 'Acclimatized' : 'Unacclimatized';
+        field.title = acclimatization.reason;
+        field.classList.toggle('warning', !acclimatization.acclimatized);
+    }
+
+    /**
+     * Update the acclimatization card with a countdown to re-acclimatization
+     */
+    function updateAcclimatizationCard() {
+        const acclimatization = state.asOf
+            ? getAcclimatization(new Date(state.asOf), getZoneAt(state.asOf))
+            : getAcclimatization(new Date(), getCurrentZone());
+        const card = elements.acclimatizationCard;
+        const statusEl = elements.acclimatizationStatus;
+        
+        card.classList.remove('warning', 'danger');
+        elements.acclimatizationState.textContent = acclimatization.acclimatized ? 'Acclimatized' : 'Unacclimatized';
+        
+        if (acclimatization.acclimatized) {
+            statusEl.className = 'card-status status-good';
+            statusEl.textContent = 'OK';
+            elements.acclimatizationProgress.style.width = '100%';
+            elements.acclimatizationRemaining.textContent = acclimatization.reason;
+        } else {
+            const requiredMinutes = acclimatization.requiredHours * 60;
+            const percentage = ((requiredMinutes - acclimatization.remainingMinutes) / requiredMinutes) * 100;
+            
+            card.classList.add('warning');
+            statusEl.className = 'card-status status-warning';
+            statusEl.textContent = 'CAUTION';
+            elements.acclimatizationProgress.style.width = `${percentage}%`;
+            elements.acclimatizationRemaining.textContent =
+                `Acclimatized in ${acclimatization.remainingFormatted} (` +
+                TimeZones.format(acclimatization.acclimatizedAtDateTime, getCurrentZone(), { withDate: true, withZone: true }) + ')';
+        }
+        
+        // The FDP calculator may be showing a stale status
+        previewFDP();
+    }
+
+    /**
+     * Show an FDP result with end of duty at departure, home base and Zulu
+     */
+    function renderFDPResult(result) {
+        elements.maxFdpResult.textContent = result.maxFDPReadable;
+        elements.woclResult.textContent = result.woclInfo;
+        elements.woclResult.classList.toggle('warning', result.woclEncroachment);
+        elements.splitDutyResult.textContent = result.splitDuty ? result.splitDuty.info : '--';
+        elements.delayedReportingResult.textContent = result.delayedReporting ? result.delayedReporting.info : '--';
+        elements.standbyResult.textContent = result.standby
+            ? `${result.standby.reduction > 0 ? '-' + FDPCalculator.formatDuration(result.standby.reduction) : 'None'} (${result.standby.name})`
+            : '--';
+        
+        if (result.endOfDutyDateTime) {
+            const end = TimeZones.formatTriple(result.endOfDutyDateTime, result.timeZone, getHomeZone());
+            elements.endDutyResult.textContent = end.local;
+            elements.endDutyHomeResult.textContent = end.home;
+            elements.endDutyZuluResult.textContent = end.zulu;
+        } else {
             elements.endDutyResult.textContent = result.endOfDutyFormatted;
-            elements.woclResult.textContent = result.woclInfo;
+            elements.endDutyHomeResult.textContent = '--:--';
+            elements.endDutyZuluResult.textContent = '--:--';
         }
     }
 
@@ -229,21 +858,44 @@
     function handleRestCalculation(e) {
         e.preventDefault();
         
+        const dutyEndDate = elements.dutyEndDate.value;
         const dutyEndTime = elements.dutyEndTime.value;
         const dutyLength = elements.dutyLength.value;
+        const dutyEndZone = elements.dutyEndZone.value;
         const timezonesCrossed = elements.timezonesCrossed.value;
         
-        if (!dutyEndTime || !dutyLength) {
+        if (!dutyEndDate || !dutyEndTime || !dutyLength) {
             showToast('Please fill in all required fields', 'warning');
             return;
         }
         
-        const result = RestCalculator.calculate(dutyEndTime, dutyLength, timezonesCrossed);
+        const dutyEnd = TimeZones.fromZonedDateTime(dutyEndDate, dutyEndTime, dutyEndZone);
+        const result = RestCalculator.calculate(dutyEnd, dutyLength, timezonesCrossed, {
+            timeZone: dutyEndZone,
+            discretionExtension: (parseFloat(elements.discretionUsed.value) || 0) * 60,
+            direction: elements.travelDirection.value,
+            sleep: {
+                travelToAccommodation: elements.travelToAccommodation.value,
+                checkIn: elements.hotelCheckIn.value,
+                sunrise: elements.restSunrise.value,
+                sunset: elements.restSunset.value,
+                travelFromAccommodation: elements.travelFromAccommodation.value
+            },
+            nextReport: getPlannedNextReport(dutyEnd, dutyEndZone),
+            woclZone: elements.sleepWoclZone.value === 'home' ? getHomeZone() : dutyEndZone
+        });
         
         if (result.success) {
             elements.minRestResult.textContent = result.minRestReadable;
-            elements.nextReportResult.textContent = result.nextReportFormatted;
+            elements.nextReportResult.textContent = TimeZones.format(result.nextReportDateTime, dutyEndZone, {
+                withDate: true,
+                withZone: true
+            });
             elements.recommendedRestResult.textContent = result.recommendedRestReadable;
+            elements.restAcclimatizationResult.textContent = result.acclimatizationRequired > 0
+                ? `${result.acclimatizationRequired}h at destination (${result.direction}ward)`
+                : 'Not needed';
+            renderSleepOpportunity(result.sleepOpportunity, dutyEndZone);
             
             // Highlight result panel
             const resultPanel = document.getElementById('restResult');
@@ -257,6 +909,46 @@
         }
     }
 
+    /**
+     * Planned next report from the Rest Calculator: the first time it comes
+     * round at the duty end zone after the duty ends
+     */
+    function getPlannedNextReport(dutyEnd, zone) {
+        const time = elements.plannedNextReport.value;
+        if (!time || !dutyEnd) return null;
+        
+        let date = TimeZones.getZonedParts(dutyEnd, zone).date;
+        let nextReport = TimeZones.fromZonedDateTime(date, time, zone);
+        if (nextReport <= dutyEnd) {
+            date = new Date(Date.parse(date + 'T00:00:00Z') + 86400000).toISOString().slice(0, 10);
+            nextReport = TimeZones.fromZonedDateTime(date, time, zone);
+        }
+        return nextReport;
+    }
+
+    /**
+     * Show the sleep opportunity window, its WOCL overlap and the rest breakdown
+     */
+    function renderSleepOpportunity(sleep, zone) {
+        const format = (instant) => TimeZones.format(instant, zone, { withZone: true });
+        const span = sleep.startDateTime
+            ? `${format(sleep.startDateTime)} - ${format(sleep.endDateTime)}`
+            : `${sleep.startFormatted} - ${sleep.endFormatted}`;
+        
+        let text = `${sleep.minutesFormatted} (${span})`;
+        if (!sleep.meetsMinimum) text += ` - below ${RestCalculator.formatDuration(sleep.required)} minimum`;
+        if (sleep.restShort) text += ' - rest shorter than minimum';
+        elements.sleepWindowResult.textContent = text;
+        elements.sleepWindowResult.classList.toggle('warning', !sleep.meetsMinimum || sleep.restShort);
+        elements.sleepWoclResult.textContent = sleep.woclMinutes > 0 ? sleep.woclFormatted : 'None';
+        elements.sleepDaylightResult.textContent = sleep.daylightMinutes === null
+            ? 'Enter local sunrise'
+            : `${sleep.daylightMinutes > 0 ? sleep.daylightFormatted : 'None'} (sunrise ${sleep.sunriseFormatted}, sunset ${sleep.sunsetFormatted})`;
+        elements.sleepBreakdownResult.textContent = sleep.breakdown
+            .map(part => `${part.reason} ${RestCalculator.formatDuration(part.amount)}`)
+            .join(', ');
+    }
+
     /**
      * Handle duty log form submission
      */
@@ -265,43 +957,91 @@
         
         const date = elements.logDate.value;
         const reportTime = elements.logReportTime.value;
+        const releaseDate = elements.logReleaseDate.value;
         const releaseTime = elements.logReleaseTime.value;
         const flightTime = elements.logFlightTime.value;
+        const dutyType = elements.logDutyType.value;
         
-        if (!date || !reportTime || !releaseTime || !flightTime) {
+        if (!date || !reportTime || !releaseDate || !releaseTime || (dutyType === 'flight' && !flightTime)) {
             showToast('Please fill in all fields', 'warning');
             return;
         }
+        if (dutyType === 'flight' &&
+            (parseInt(elements.logSectors.value, 10) || 0) + (parseInt(elements.logPositioningSectors.value, 10) || 0) < 1) {
+            showToast('Please enter at least one operating or positioning sector', 'warning');
+            return;
+        }
         
         const result = StorageManager.addDutyRecord({
+            dutyType: dutyType,
             date: date,
             reportTime: reportTime,
+            reportTimeZone: elements.logReportZone.value,
+            releaseDate: releaseDate,
             releaseTime: releaseTime,
-            flightTime: flightTime
+            releaseTimeZone: elements.logReleaseZone.value,
+            flightTime: flightTime,
+            sectors: elements.logSectors.value,
+            positioningSectors: elements.logPositioningSectors.value,
+            positioningTime: elements.logPositioningTime.value,
+            crewPilots: parseCrewValue(elements.logCrew.value).pilots,
+            restFacility: parseCrewValue(elements.logCrew.value).facility
         });
         
         if (result.success) {
+            const flightCheck = ComplianceChecker.checkCurrentFlightTime(
+                ComplianceChecker.getCreditedFlightMinutes(result.record),
+                ComplianceChecker.isAugmentedCrew(result.record)
+            );
+            
             // Clear form
             elements.logReportTime.value = '';
             elements.logReleaseTime.value = '';
             elements.logFlightTime.value = '';
+            elements.logPositioningTime.value = '';
+            elements.logSectors.value = '1';
+            elements.logPositioningSectors.value = '0';
             
             // Refresh displays
             loadHistory();
             updateComplianceDashboard();
             
-            showToast('Duty period logged successfully', 'success');
+            if (!flightCheck.compliant) {
+                showToast(`Duty logged, but flight time exceeds the ${flightCheck.limitFormatted} ` +
+                    `${flightCheck.crewType === 'augmented' ? 'augmented crew' : 'single duty'} limit`, 'warning');
+            } else {
+                showToast('Duty period logged successfully', 'success');
+            }
         } else {
             showToast(result.error, 'error');
         }
     }
 
+    /**
+     * Keep the release date in step with the report date
+     */
+    function handleLogDateChange() {
+        if (!elements.logReleaseDate.value || elements.logReleaseDate.value < elements.logDate.value) {
+            elements.logReleaseDate.value = elements.logDate.value;
+        }
+    }
+
     /**
      * Load and display duty history
      */
     function loadHistory() {
         const records = StorageManager.getDutyRecords();
         
+        // Planned duties are rechecked against the history when the records
+        // have changed; the forecast takes longer, so it is only marked out of date
+        const recordsKey = getRecordsKey(records);
+        if (recordsKey !== state.rosterRecordsKey) {
+            renderRoster();
+        }
+        if (state.forecastRecordsKey !== null && recordsKey !== state.forecastRecordsKey) {
+            elements.forecastSummary.textContent = 'Logged duties have changed - forecast again to update';
+        }
+        
         if (records.length === 0) {
             elements.historyBody.innerHTML = `
                 <tr class="empty-row">
@@ -313,6 +1053,15 @@
         
         // Display last 10 records
         const displayRecords = records.slice(0, 10);
+        const shortRests = {};
+        ComplianceChecker.getRestPeriods(records)
+            .filter(period => !period.compliant)
+            .forEach(period => { shortRests[period.recordId] = period; });
+        
+        // The Rest Calculator follows the most recent duty until the pilot edits it
+        if (!state.restCalculatorEdited) {
+            prefillRestCalculator(records[0]);
+        }
         
         elements.historyBody.innerHTML = displayRecords.map(record => {
             const dutyHours = Math.floor(record.dutyMinutes / 60);
@@ -322,11 +1071,12 @@
             return `
                 <tr data-id="${record.id}">
                     <td>${formatDate(record.date)}</td>
-                    <td>${record.reportTime}</td>
-                    <td>${record.releaseTime}</td>
-                    <td>${dutyHours}:${dutyMins.toString().padStart(2, '0')}</td>
-                    <td>${flightHours}h</td>
+                    <td>${record.reportTime} ${formatZone(record.reportTimeZone, record.reportDateTime)}${formatShortRestBadge(shortRests[record.id])}</td>
+                    <td>${record.releaseTime} ${formatZone(record.releaseTimeZone, record.releaseDateTime)}${formatDayOffset(record.date, record.releaseDate)}</td>
+                    <td>${dutyHours}:${dutyMins.toString().padStart(2, '0')}${record.discretionReport ? ' <span class="crew-badge" title="PIC discretion extension">EXT</span>' : ''}${record.delayedReporting ? ' <span class="crew-badge" title="Delayed report">DLY</span>' : ''}</td>
+                    <td>${isStandbyDuty(record) ? formatDutyTypeBadge(record) : `${flightHours}h`}${formatPositioningBadge(record)}${record.crewPilots > 2 ? ` <span class="crew-badge" title="Augmented crew">${record.crewPilots}P</span>` : ''}</td>
                     <td>
+                        ${record.discretionReport ? `<button class="btn-report" onclick="window.downloadExtensionReport('${record.id}')">Report</button>` : ''}
                         <button class="btn-delete" onclick="window.deleteDutyRecord('${record.id}')">
                             Delete
                         </button>
@@ -336,6 +1086,62 @@
         }).join('');
     }
 
+    /**
+     * Format a badge for a duty reported before the minimum rest was over
+     */
+    function formatShortRestBadge(period) {
+        if (!period) return '';
+        const title = `Rest before this duty: ${period.restFormatted}, minimum ${period.requiredFormatted} ` +
+            `(${period.deficitFormatted} short)`;
+        return ` <span class="crew-badge rest-short" title="${escapeHtml(title)}">REST</span>`;
+    }
+
+    /**
+     * Fill the Rest Calculator from a logged duty: release, duty length,
+     * zones crossed and any PIC discretion extension used
+     */
+    function prefillRestCalculator(record) {
+        if (!record || !record.releaseDateTime) return;
+        
+        const zone = record.releaseTimeZone || record.reportTimeZone || getCurrentZone();
+        const release = TimeZones.getZonedParts(record.releaseDateTime, zone);
+        elements.dutyEndDate.value = release.date;
+        elements.dutyEndTime.value = release.time;
+        elements.dutyEndZone.value = zone;
+        elements.dutyLength.value = +((record.dutyMinutes || 0) / 60).toFixed(2);
+        elements.discretionUsed.value = record.discretionReport
+            ? +(record.discretionReport.usedMinutes / 60).toFixed(2)
+            : '';
+        
+        // Highest zone category the duty reaches, and which way it went
+        const zonesCrossed = RestCalculator.getZonesCrossed(record);
+        const option = Array.from(elements.timezonesCrossed.options)
+            .filter(opt => parseInt(opt.value, 10) <= Math.abs(zonesCrossed))
+            .pop();
+        elements.timezonesCrossed.value = option ? option.value : '0';
+        elements.travelDirection.value = zonesCrossed < 0 ? 'west' : 'east';
+    }
+
+    /**
+     * Format a short badge for a standby or reserve record (e.g. "HS" for home standby)
+     */
+    function formatDutyTypeBadge(record) {
+        const type = getStandbyTypes()[record.dutyType];
+        const name = type ? type.name : record.dutyType;
+        const label = name.split(/[\s-]+/).map(word => word.charAt(0)).join('').toUpperCase();
+        return `<span class="crew-badge" title="${escapeHtml(name)}">${escapeHtml(label)}</span>`;
+    }
+
+    /**
+     * Format a badge for a record's positioning sectors (e.g. "+1 DH")
+     */
+    function formatPositioningBadge(record) {
+        if (!record.positioningSectors) return '';
+        const title = `Positioning: ${record.positioningSectors} sector(s), ` +
+            `${FDPCalculator.formatDuration(record.positioningMinutes || 0)}`;
+        return ` <span class="crew-badge" title="${escapeHtml(title)}">+${record.positioningSectors} DH</span>`;
+    }
+
     /**
      * Format date for display
      */
@@ -348,6 +1154,23 @@
         });
     }
 
+    /**
+     * Format a "(+N)" suffix when a release falls on a later day than report
+     */
+    function formatDayOffset(reportDate, releaseDate) {
+        if (!releaseDate || releaseDate === reportDate) return '';
+        const days = Math.round((new Date(releaseDate + 'T00:00:00') - new Date(reportDate + 'T00:00:00')) / 86400000);
+        return days > 0 ? ` (+${days})` : '';
+    }
+
+    /**
+     * Format a zone abbreviation for a table cell (e.g. "ADT")
+     */
+    function formatZone(zone, instant) {
+        if (!zone) return '';
+        return `<span class="zone-abbr">${escapeHtml(TimeZones.getAbbreviation(zone, instant))}</span>`;
+    }
+
     /**
      * Delete a duty record (exposed globally for onclick)
      */
@@ -368,55 +1191,515 @@
     };
 
     /**
-     * Handle clear history button
+     * Check the planned roster against the history and show each duty's legality
      */
-    function handleClearHistory() {
-        if (!confirm('Are you sure you want to clear ALL duty records? This cannot be undone.')) {
+    function renderRoster() {
+        const plan = StorageManager.getRosterPlan();
+        const records = StorageManager.getDutyRecords();
+        state.rosterRecordsKey = getRecordsKey(records);
+        
+        if (plan.length === 0) {
+            elements.rosterSummary.textContent = 'No duties planned.';
+            elements.rosterSummary.classList.remove('warning');
+            elements.rosterBody.innerHTML = `
+                <tr class="empty-row">
+                    <td colspan="6">No duties planned. Add one above or import a roster.</td>
+                </tr>
+            `;
             return;
         }
         
-        if (StorageManager.clearAllRecords()) {
-            loadHistory();
-            updateComplianceDashboard();
-            showToast('All records cleared', 'success');
-        } else {
-            showToast('Failed to clear records', 'error');
-        }
+        const result = RosterPlanner.checkRoster(records, plan, { homeZone: getHomeZone() });
+        
+        elements.rosterSummary.textContent = result.illegalCount === 0
+            ? `${plan.length} planned ${plan.length === 1 ? 'duty is' : 'duties are'} legal`
+            : `${result.illegalCount} of ${plan.length} planned duties would break a limit`;
+        elements.rosterSummary.classList.toggle('warning', result.illegalCount > 0);
+        
+        elements.rosterBody.innerHTML = result.duties.map(item => {
+            const duty = plan[item.index];
+            const record = item.record;
+            const actions = `<button class="btn-delete" onclick="window.deletePlannedDuty('${escapeHtml(duty.id)}')">Delete</button>`;
+            
+            if (!record) {
+                return `
+                    <tr>
+                        <td>${escapeHtml(duty.date || '--')}</td>
+                        <td>${escapeHtml(duty.reportTime || '--')}</td>
+                        <td>${escapeHtml(duty.releaseTime || '--')}</td>
+                        <td>--</td>
+                        <td><span class="roster-illegal">${escapeHtml(item.error)}</span></td>
+                        <td>${actions}</td>
+                    </tr>
+                `;
+            }
+            
+            const legality = item.legal
+                ? '<span class="roster-legal">Legal</span>'
+                : item.violations.map(violation => `<span class="roster-illegal">${escapeHtml(violation.message)}</span>`).join('<br>');
+            
+            return `
+                <tr>
+                    <td>${formatDate(record.date)}</td>
+                    <td>${record.reportTime} ${formatZone(record.reportTimeZone, record.reportDateTime)}</td>
+                    <td>${record.releaseTime} ${formatZone(record.releaseTimeZone, record.releaseDateTime)}${formatDayOffset(record.date, TimeZones.getZonedParts(record.releaseDateTime, record.releaseTimeZone).date)}</td>
+                    <td>${ComplianceChecker.minutesToTime(record.dutyMinutes)} / ${(record.flightMinutes / 60).toFixed(1)}h</td>
+                    <td>${legality}</td>
+                    <td>${actions}</td>
+                </tr>
+            `;
+        }).join('');
     }
 
     /**
-     * Update the compliance dashboard with current totals
+     * A key that changes whenever the logged records do (added, removed or
+     * edited), to tell when what was checked against them is stale
      */
-    function updateComplianceDashboard() {
-        const records = StorageManager.getDutyRecords();
-        const checks = ComplianceChecker.runAllChecks(records);
-        
-        // Update 7-day duty card
-        updateComplianceCard(
-            elements.duty7Card,
-            elements.duty7Current,
-            elements.duty7Progress,
-            elements.duty7Remaining,
-            checks.duty7Day
-        );
+    function getRecordsKey(records) {
+        return JSON.stringify(records);
+    }
+
+    /**
+     * Handle roster planner form submission
+     */
+    function handleAddPlannedDuty(e) {
+        e.preventDefault();
         
-        // Update 28-day duty card
-        updateComplianceCard(
-            elements.duty28Card,
-            elements.duty28Current,
-            elements.duty28Progress,
-            elements.duty28Remaining,
-            checks.duty28Day
-        );
+        const duty = {
+            id: `plan_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            date: elements.planDate.value,
+            reportTime: elements.planReportTime.value,
+            reportTimeZone: elements.planReportZone.value,
+            releaseTime: elements.planReleaseTime.value,
+            releaseTimeZone: elements.planReleaseZone.value,
+            sectors: elements.planSectors.value,
+            flightTime: elements.planBlockTime.value || 0
+        };
+        
+        if (!duty.date || !duty.reportTime || !duty.releaseTime) {
+            showToast('Please fill in the report date, report time and release time', 'warning');
+            return;
+        }
+        
+        const record = RosterPlanner.toRecord(duty, getHomeZone());
+        if (record.error) {
+            showToast(record.error, 'warning');
+            return;
+        }
+        
+        StorageManager.saveRosterPlan(StorageManager.getRosterPlan().concat(duty));
+        renderRoster();
+        elements.planReportTime.value = '';
+        elements.planReleaseTime.value = '';
+        elements.planBlockTime.value = '';
+        showToast('Duty added to the plan', 'success');
+    }
+
+    /**
+     * Import planned duties from a CSV file
+     */
+    function handleRosterFile() {
+        const file = elements.rosterFile.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            const result = RosterPlanner.parseRoster(reader.result);
+            elements.rosterFile.value = '';
+            
+            if (result.duties.length === 0) {
+                showToast('No duties found in the roster' + (result.errors.length ? ': ' + result.errors[0] : ''), 'error');
+                return;
+            }
+            
+            const imported = result.duties.map((duty, index) => ({
+                id: `plan_${Date.now()}_${index}`,
+                ...duty
+            }));
+            StorageManager.saveRosterPlan(StorageManager.getRosterPlan().concat(imported));
+            renderZoneOptions();
+            renderRoster();
+            showToast(`Imported ${imported.length} planned ${imported.length === 1 ? 'duty' : 'duties'}` +
+                (result.errors.length ? ` (${result.errors.length} line(s) skipped)` : ''),
+                result.errors.length ? 'warning' : 'success');
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Remove a planned duty (exposed globally for onclick)
+     */
+    window.deletePlannedDuty = function(id) {
+        StorageManager.saveRosterPlan(StorageManager.getRosterPlan().filter(duty => duty.id !== id));
+        renderRoster();
+    };
+
+    /**
+     * Handle clear plan button
+     */
+    function handleClearRoster() {
+        if (!confirm('Remove all planned duties?')) {
+            return;
+        }
+        
+        StorageManager.saveRosterPlan([]);
+        renderRoster();
+        showToast('Roster plan cleared', 'success');
+    }
+
+    /**
+     * Forecast the earliest legal start of a duty and the next 14 days' availability
+     */
+    function handleForecast(e) {
+        if (e) e.preventDefault();
+        
+        const dutyHours = parseFloat(elements.forecastDuty.value);
+        if (!dutyHours) {
+            showToast('Please enter the duty length', 'warning');
+            return;
+        }
+        
+        // A duty in progress is taken to run to its maximum FDP
+        const history = StorageManager.getDutyRecords();
+        state.forecastRecordsKey = getRecordsKey(history);
+        const active = state.asOf ? null : getActiveDutyCheck();
+        if (active) {
+            const end = active.projectedEnd || active.record.releaseDateTime;
+            history.push({
+                ...active.record,
+                releaseDateTime: end,
+                dutyMinutes: Math.round((new Date(end) - new Date(active.record.reportDateTime)) / 60000)
+            });
+        }
+        
+        const crew = parseCrewValue(elements.forecastCrew.value);
+        const result = RosterPlanner.forecastAvailability(history, {
+            dutyMinutes: dutyHours * 60,
+            flightMinutes: (parseFloat(elements.forecastBlock.value) || 0) * 60,
+            sectors: elements.forecastSectors.value,
+            crewPilots: crew.pilots,
+            restFacility: crew.facility
+        }, {
+            homeZone: getHomeZone(),
+            zone: elements.forecastZone.value
+        });
+        
+        if (!result.success) {
+            showToast(result.error, 'error');
+            return;
+        }
+        
+        const zone = elements.forecastZone.value;
+        const formatStart = (instant) => TimeZones.format(instant, zone, { withDate: true, withZone: true });
+        
+        if (!result.reason) {
+            elements.forecastSummary.textContent = 'You can report for this duty now';
+        } else if (result.earliestStart) {
+            elements.forecastSummary.textContent = `Earliest legal start ${formatStart(result.earliestStart)} (now limited by ${result.reason})`;
+        } else {
+            elements.forecastSummary.textContent = `Not legal in the next ${result.days.length} days (limited by ${result.reason})`;
+        }
+        elements.forecastSummary.classList.toggle('warning', !result.earliestStart);
+        
+        elements.forecastBody.innerHTML = result.days.map(day => `
+            <tr>
+                <td>${formatDate(day.date)}</td>
+                <td>${day.earliestStart ? formatStart(day.earliestStart) : `<span class="roster-illegal">${escapeHtml(day.reason)}</span>`}</td>
+                <td>${ComplianceChecker.minutesToTime(day.maxDutyMinutes)}${day.maxDutyMinutes > 0 ? ` <span class="zone-abbr">from ${TimeZones.format(day.maxDutyStart, zone, { withZone: true })}</span>` : ''}</td>
+                <td>${ComplianceChecker.minutesToTime(day.maxFlightMinutes)}</td>
+                <td>${escapeHtml(day.limitingFactor)}${day.restEnds ? ` (rest ends ${TimeZones.format(day.restEnds, zone, { withZone: true })})` : ''}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Handle clear history button
+     */
+    function handleClearHistory() {
+        if (!confirm('Are you sure you want to clear ALL duty records? This cannot be undone.')) {
+            return;
+        }
+        
+        if (StorageManager.clearAllRecords()) {
+            loadHistory();
+            updateComplianceDashboard();
+            showToast('All records cleared', 'success');
+        } else {
+            showToast('Failed to clear records', 'error');
+        }
+    }
+
+    /**
+     * Update the compliance dashboard with current totals
+     */
+    function updateComplianceDashboard() {
+        const records = StorageManager.getDutyRecords();
+        const activeDuty = getActiveDutyCheck();
+        const checks = ComplianceChecker.runAllChecks(records, activeDuty, { at: state.asOf, zone: getHomeZone() });
+        state.rollingProjections = {};
+        checks.rollingLimits
+            .filter(check => check.projected !== undefined)
+            .forEach(check => {
+                state.rollingProjections[check.id] = { projected: check.projected, limitReachedAt: check.limitReachedAt };
+            });
         
         // Update FDP card (show daily FDP limit info)
         updateFDPCard();
         
-        // Update flight time card
-        updateFlightTimeCard(checks.flightTime28Day);
+        // Update rolling duty and flight time cards
+        updateRollingLimitCards(checks.rollingLimits);
+        
+        // Update acclimatization card
+        updateAcclimatizationCard();
+        
+        // Update time-off cards
+        updateTimeOffCards(checks.weeklyTimeOff, checks.monthlyDaysOff);
         
         // Update overall status
         updateOverallStatus(checks);
+        
+        // Update rolling totals timeline
+        renderTimeline(records);
+        
+        // Log status changes (live, once the active duty is restored)
+        if (state.initialized && !state.asOf) {
+            logStatusChanges(checks, activeDuty ? records.concat(activeDuty.record) : records);
+        }
+    }
+
+    /**
+     * Add the checks whose status changed to the audit log
+     */
+    function logStatusChanges(checks, records) {
+        const result = AuditLog.recordChanges(checks, records, { rulePack: RulePacks.getActive().name });
+        
+        if (!result.success) {
+            showToast(result.error, 'error');
+            return;
+        }
+        if (result.entries.length === 0) return;
+        
+        renderAuditLog();
+        const exceeded = result.entries.filter(entry => entry.status === 'exceeded');
+        if (exceeded.length > 0) {
+            showToast(`${exceeded.map(entry => entry.name).join(', ')} exceeded - acknowledge in the audit log`, 'warning');
+        }
+    }
+
+    /**
+     * Render the audit log, newest first
+     */
+    function renderAuditLog() {
+        const entries = StorageManager.getAuditLog();
+        
+        if (entries.length === 0) {
+            elements.auditSummary.textContent = 'No status changes logged.';
+            elements.auditSummary.classList.remove('warning');
+            elements.auditBody.innerHTML = `
+                <tr class="empty-row">
+                    <td colspan="6">No status changes logged.</td>
+                </tr>
+            `;
+            return;
+        }
+        
+        const pending = entries.filter(AuditLog.needsAcknowledgement).length;
+        elements.auditSummary.textContent = `${entries.length} status ${entries.length === 1 ? 'change' : 'changes'} logged` +
+            (pending > 0 ? `, ${pending} ${pending === 1 ? 'exceedance' : 'exceedances'} awaiting acknowledgement` : '');
+        elements.auditSummary.classList.toggle('warning', pending > 0);
+        
+        const zone = getHomeZone();
+        const label = (status) => AuditLog.STATUS_LABELS[status] || status;
+        
+        elements.auditBody.innerHTML = entries.map(entry => {
+            const dates = entry.records.map(record => formatDate(record.date));
+            const duties = dates.length === 0 ? '--'
+                : dates.length <= 2 ? dates.join(', ')
+                : `${dates.length} duties, ${dates[0]} to ${dates[dates.length - 1]}`;
+            const note = entry.acknowledgement
+                ? `${escapeHtml(entry.acknowledgement.note)} <span class="zone-abbr">${TimeZones.format(entry.acknowledgement.at, zone, { withDate: true, withZone: true })}</span>`
+                : '';
+            const button = `<button class="btn-report" onclick="window.acknowledgeAuditEntry('${escapeHtml(entry.id)}')">${entry.acknowledgement ? 'Edit' : (AuditLog.needsAcknowledgement(entry) ? 'Acknowledge' : 'Add Note')}</button>`;
+            
+            return `
+                <tr>
+                    <td>${TimeZones.format(entry.timestamp, zone, { withDate: true, withZone: true })}</td>
+                    <td>${escapeHtml(entry.name)}${entry.rulePack ? ` <span class="zone-abbr">${escapeHtml(entry.rulePack)}</span>` : ''}</td>
+                    <td>${label(entry.previousStatus)} &rarr; <span class="audit-status-${escapeHtml(entry.status)}">${label(entry.status)}</span>${entry.ended ? ' (ended)' : ''}</td>
+                    <td>${escapeHtml(entry.currentFormatted)} / ${escapeHtml(entry.limitFormatted)}</td>
+                    <td title="${escapeHtml(dates.join(', '))}">${duties}</td>
+                    <td>${note} ${button}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Attach an acknowledgement or explanation to an audit log entry
+     * (exposed globally for onclick)
+     */
+    window.acknowledgeAuditEntry = function(id) {
+        const entry = StorageManager.getAuditLog().find(item => item.id === id);
+        if (!entry) return;
+        
+        const note = prompt(`${entry.name}: ${AuditLog.STATUS_LABELS[entry.status] || entry.status}\n\nExplanation or acknowledgement:`,
+            entry.acknowledgement ? entry.acknowledgement.note : '');
+        if (note === null) return;
+        
+        const result = AuditLog.acknowledge(id, note);
+        if (!result.success) {
+            showToast(result.error, 'warning');
+            return;
+        }
+        
+        renderAuditLog();
+        showToast('Acknowledgement saved', 'success');
+    };
+
+    /**
+     * Download the audit log as CSV
+     */
+    function handleExportAudit() {
+        const entries = StorageManager.getAuditLog();
+        if (entries.length === 0) {
+            showToast('The audit log is empty', 'warning');
+            return;
+        }
+        
+        const blob = new Blob([AuditLog.toCSV(entries)], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * The active duty as it stands now, for the compliance checks: a record
+     * released now and, for a flying duty, the elapsed and maximum FDP with
+     * its end as the projected release. Flight time is not known until the
+     * duty is logged, so it counts as none. Null off duty or in the as-of view.
+     */
+    function getActiveDutyCheck() {
+        const duty = state.currentDuty;
+        if (!duty || state.asOf) return null;
+        
+        // As when the duty is logged, a delayed report moves its start
+        const now = new Date();
+        const start = duty.fdpStartTime && new Date(duty.fdpStartTime) < now ? duty.fdpStartTime : duty.startTime;
+        const reportZone = duty.reportTimeZone || getCurrentZone();
+        const record = {
+            id: 'active-duty',
+            inProgress: true,
+            dutyType: duty.dutyType || 'flight',
+            precedingStandby: duty.precedingStandby || null,
+            date: TimeZones.getZonedParts(new Date(start), reportZone).date,
+            reportDateTime: start,
+            reportTimeZone: reportZone,
+            releaseDateTime: now.toISOString(),
+            releaseTimeZone: getCurrentZone(),
+            dutyMinutes: Math.max(0, Math.round((now - new Date(start)) / 60000)),
+            flightMinutes: 0,
+            positioningMinutes: 0,
+            sectors: duty.sectors,
+            positioningSectors: duty.positioningSectors || 0,
+            crewPilots: duty.crewPilots,
+            restFacility: duty.restFacility
+        };
+        
+        if (isStandbyDuty(duty)) {
+            return { record: record };
+        }
+        
+        const fdpStart = new Date(duty.fdpStartTime || duty.startTime);
+        const maxMinutes = duty.maxFdpMinutes || FDPCalculator.MAX_FDP_ABSOLUTE;
+        return {
+            record: record,
+            elapsedFDP: Math.max(0, Math.floor((now - fdpStart) / 60000)),
+            maxFDP: maxMinutes,
+            projectedEnd: new Date(fdpStart.getTime() + maxMinutes * 60000).toISOString()
+        };
+    }
+
+    /**
+     * Show the dashboard as of the picked moment (home base time), or live
+     */
+    function handleAsOfChange() {
+        const value = elements.asOfDateTime.value;
+        const asOf = value ? TimeZones.fromZonedDateTime(value.slice(0, 10), value.slice(11, 16), getHomeZone()) : null;
+        
+        state.asOf = asOf ? asOf.toISOString() : null;
+        elements.btnAsOfNow.disabled = !state.asOf;
+        updateComplianceDashboard();
+    }
+
+    /**
+     * Draw the rolling totals of each rolling limit, day by day, as a share
+     * of their limits, with each total's peak marked
+     */
+    function renderTimeline(records) {
+        const timeline = ComplianceChecker.getRollingTimeline(records, {
+            at: state.asOf,
+            days: parseInt(elements.timelineDays.value, 10),
+            zone: getHomeZone()
+        });
+        const days = timeline.days;
+        
+        const width = 720;
+        const height = 220;
+        const pad = { top: 12, right: 12, bottom: 24, left: 40 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        
+        const percentages = timeline.series.map(series =>
+            series.values.map(value => series.limit > 0 ? (value / series.limit) * 100 : 0));
+        const highest = Math.max(100, ...percentages.map(values => Math.max(...values)));
+        const maxPercent = Math.ceil(highest / 25) * 25;
+        
+        const x = index => pad.left + (days.length > 1 ? (index / (days.length - 1)) * plotWidth : plotWidth);
+        const y = percent => pad.top + plotHeight - (percent / maxPercent) * plotHeight;
+        const shortDate = date => new Date(date + 'T12:00:00Z')
+            .toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' });
+        
+        const gridLines = [0, 50, 100].filter(percent => percent <= maxPercent).map(percent => `
+            <line class="${percent === 100 ? 'timeline-limit' : 'timeline-grid'}" x1="${pad.left}" x2="${width - pad.right}" y1="${y(percent)}" y2="${y(percent)}"></line>
+            <text class="timeline-axis" x="${pad.left - 6}" y="${y(percent) + 4}" text-anchor="end">${percent}%</text>
+        `).join('');
+        
+        const dateLabels = [0, Math.floor((days.length - 1) / 2), days.length - 1].map((index, i) => `
+            <text class="timeline-axis" x="${x(index)}" y="${height - 6}" text-anchor="${['start', 'middle', 'end'][i]}">${shortDate(days[index].date)}</text>
+        `).join('');
+        
+        const lines = timeline.series.map((series, i) => {
+            const points = percentages[i].map((percent, index) => `${x(index).toFixed(1)},${y(percent).toFixed(1)}`).join(' ');
+            const peak = series.peak;
+            const peakPercent = percentages[i][peak.index];
+            return `
+                <polyline class="timeline-line timeline-series-${i % 6}" points="${points}"></polyline>
+                ${peak.value > 0 ? `
+                    <circle class="timeline-peak timeline-series-${i % 6}" cx="${x(peak.index)}" cy="${y(peakPercent)}" r="4">
+                        <title>${escapeHtml(series.name)} peak: ${ComplianceChecker.minutesToTime(peak.value)} of ${ComplianceChecker.minutesToTime(series.limit)} on ${formatDate(peak.date)}</title>
+                    </circle>
+                ` : ''}
+            `;
+        }).join('');
+        
+        elements.timelineChart.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Rolling totals as a share of their limits">
+                ${gridLines}
+                ${dateLabels}
+                ${lines}
+            </svg>
+        `;
+        
+        elements.timelineLegend.innerHTML = timeline.series.map((series, i) => `
+            <span class="timeline-legend-item${series.peak.value > series.limit ? ' exceeded' : ''}">
+                <span class="timeline-swatch timeline-series-${i % 6}"></span>
+                ${escapeHtml(series.name)}: peak ${ComplianceChecker.minutesToTime(series.peak.value)} / ${ComplianceChecker.minutesToTime(series.limit)}${series.peak.value > 0 ? ` on ${shortDate(series.peak.date)}` : ''}
+            </span>
+        `).join('');
     }
 
     /**
@@ -424,6 +1707,7 @@
      */
     function updateComplianceCard(card, currentEl, progressEl, remainingEl, check) {
         currentEl.textContent = check.currentFormatted;
+        card.querySelector('.value-max').textContent = check.limitFormatted;
         progressEl.style.width = `${check.percentage}%`;
         remainingEl.textContent = `${check.remainingFormatted} remaining`;
         
@@ -446,47 +1730,150 @@
     }
 
     /**
-     * Update FDP card (shows max FDP for reference)
+     * Update one card per rolling limit of the active rule pack
+     * Cards are created as needed and kept in the pack's order, before the
+     * acclimatization card; cards of limits no longer in the pack are removed.
      */
-    function updateFDPCard() {
-        // Don't update if we have an active duty (handled by timer)
-        if (state.currentDuty) {
-            return;
-        }
+    function updateRollingLimitCards(rollingChecks) {
+        const grid = elements.acclimatizationCard.parentNode;
+        const cardIds = rollingChecks.map(check => `rolling-${check.id}`);
         
-        // FDP card shows static values when not on duty
-        elements.fdpCurrent.textContent = '0:00';
-        elements.fdpMax.textContent = '14:00';
-        elements.fdpProgress.style.width = '0%';
-        elements.fdpRemaining.textContent = 'Not on duty';
+        grid.querySelectorAll('[data-rolling-limit]').forEach(card => {
+            if (!cardIds.includes(card.id)) card.remove();
+        });
+        
+        rollingChecks.forEach(check => {
+            let card = document.getElementById(`rolling-${check.id}`);
+            if (!card) {
+                card = document.createElement('div');
+                card.className = 'compliance-card';
+                card.id = `rolling-${check.id}`;
+                card.dataset.rollingLimit = check.id;
+                card.innerHTML = `
+                    <div class="card-header">
+                        <span class="card-title"></span>
+                        <span class="card-status status-good">OK</span>
+                    </div>
+                    <div class="card-value">
+                        <span class="value-current">0:00</span>
+                        <span class="value-separator">/</span>
+                        <span class="value-max"></span>
+                    </div>
+                    <div class="card-progress">
+                        <div class="progress-bar" style="width: 0%"></div>
+                    </div>
+                    <div class="card-remaining"></div>
+                `;
+            }
+            grid.insertBefore(card, elements.acclimatizationCard);
+            
+            card.querySelector('.card-title').textContent = check.name;
+            updateComplianceCard(
+                card,
+                card.querySelector('.value-current'),
+                card.querySelector('.progress-bar'),
+                card.querySelector('.card-remaining'),
+                check
+            );
+            
+            // During a duty: when it would take the total over, or what is left at max FDP
+            if (check.limitReachedAt && check.compliant) {
+                card.querySelector('.card-remaining').textContent = 'Over at ' +
+                    TimeZones.format(check.limitReachedAt, getCurrentZone(), { withZone: true }) + ', before max FDP';
+                if (check.status === 'good') {
+                    card.classList.add('warning');
+                    card.querySelector('.card-status').className = 'card-status status-warning';
+                    card.querySelector('.card-status').textContent = 'CAUTION';
+                }
+            } else if (check.projected !== undefined && check.compliant) {
+                card.querySelector('.card-remaining').textContent = `${check.remainingFormatted} remaining, ` +
+                    `${ComplianceChecker.formatDuration(check.limit - check.projected)} at max FDP`;
+            }
+        });
     }
 
     /**
-     * Update flight time card
+     * Recheck the active duty as it stands now: the rolling cards, the overall
+     * status and the audit log
+     * Projecting to max FDP only changes with the duty or the records, so the
+     * projections of the last full dashboard update are reused.
      */
-    function updateFlightTimeCard(check) {
-        elements.flightCurrent.textContent = check.currentFormatted;
-        elements.flightMax.textContent = check.limitFormatted;
-        elements.flightProgress.style.width = `${check.percentage}%`;
-        elements.flightRemaining.textContent = `${check.remainingFormatted} remaining`;
+    function updateDutyChecks() {
+        const activeDuty = getActiveDutyCheck();
+        if (!activeDuty) return;
         
-        // Update card status
-        const card = elements.flightTimeCard;
-        card.classList.remove('warning', 'danger');
-        const statusEl = card.querySelector('.card-status');
+        const records = StorageManager.getDutyRecords();
+        const checks = ComplianceChecker.runAllChecks(records, { ...activeDuty, projectedEnd: null }, { zone: getHomeZone() });
+        checks.rollingLimits.forEach(check => Object.assign(check, state.rollingProjections[check.id]));
         
-        if (check.status === 'danger' || check.status === 'exceeded') {
-            card.classList.add('danger');
-            statusEl.className = 'card-status status-danger';
-            statusEl.textContent = check.status === 'exceeded' ? 'EXCEEDED' : 'LOW';
-        } else if (check.status === 'warning') {
-            card.classList.add('warning');
-            statusEl.className = 'card-status status-warning';
-            statusEl.textContent = 'CAUTION';
+        updateRollingLimitCards(checks.rollingLimits);
+        updateOverallStatus(checks);
+        
+        if (state.initialized) {
+            logStatusChanges(checks, records.concat(activeDuty.record));
+        }
+    }
+
+    /**
+     * Update the weekly time-off and 28-day days-off cards
+     * The remaining line shows when the next qualifying time off must start.
+     */
+    function updateTimeOffCards(weekly, monthly) {
+        updateComplianceCard(
+            elements.weeklyOffCard,
+            elements.weeklyOffCurrent,
+            elements.weeklyOffProgress,
+            elements.weeklyOffRemaining,
+            weekly
+        );
+        
+        const homeZone = getHomeZone();
+        let weeklyText;
+        if (!weekly.compliant) {
+            weeklyText = `${ComplianceChecker.formatDuration(weekly.limit)} off needed now`;
+        } else if (weekly.inProgress) {
+            const completeAt = new Date(new Date(weekly.offSinceDateTime).getTime() + weekly.limit * 60000);
+            weeklyText = 'Off duty, complete at ' + TimeZones.format(completeAt, homeZone, { withDate: true, withZone: true });
         } else {
-            statusEl.className = 'card-status status-good';
-            statusEl.textContent = 'OK';
+            weeklyText = 'Next by ' + TimeZones.format(weekly.deadlineDateTime, homeZone, { withDate: true, withZone: true });
+        }
+        if (weekly.violationCount > 0) {
+            weeklyText += ` (${weekly.violationCount} missed in 28 days)`;
+        }
+        elements.weeklyOffRemaining.textContent = weeklyText;
+        
+        updateComplianceCard(
+            elements.daysOffCard,
+            elements.daysOffCurrent,
+            elements.daysOffProgress,
+            elements.daysOffRemaining,
+            monthly
+        );
+        
+        const deadline = new Date(monthly.deadlineDate + 'T12:00:00Z')
+            .toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+        let daysOffText = monthly.compliant ? `Next day off by ${deadline}` : 'Day off needed now';
+        const consecutive = monthly.consecutiveDuty;
+        if (consecutive.currentDays > 0) {
+            daysOffText += ` (${consecutive.currentDays}/${consecutive.maxDays} duty days in a row)`;
+        }
+        elements.daysOffRemaining.textContent = daysOffText;
+    }
+
+    /**
+     * Update FDP card (shows max FDP for reference)
+     */
+    function updateFDPCard() {
+        // Don't update if we have an active duty or rest (handled by timers)
+        if (state.currentDuty || state.currentRest) {
+            return;
         }
+        
+        // FDP card shows static values when not on duty
+        elements.fdpCurrent.textContent = '0:00';
+        elements.fdpMax.textContent = FDPCalculator.minutesToTime(FDPCalculator.MAX_FDP_ABSOLUTE);
+        elements.fdpProgress.style.width = '0%';
+        elements.fdpRemaining.textContent = 'Not on duty';
     }
 
     /**
@@ -513,44 +1900,80 @@
      * Handle Start Duty button click
      */
     function handleStartDuty() {
+        startDuty(elements.startDutyType.value, null);
+    }
+
+    /**
+     * Start a flying duty, standby or reserve now
+     *
+     * @param {string} dutyType - 'flight' or a standby type key
+     * @param {Object} precedingStandby - Standby the pilot was called out from { type, minutes, recordId }
+     */
+    function startDuty(dutyType, precedingStandby) {
         const now = new Date();
-        const reportTime = now.toLocaleTimeString('en-US', { 
-            hour: '2-digit', 
-            minute: '2-digit', 
-            hour12: false 
-        });
+        const reportZone = getCurrentZone();
+        const reportTime = TimeZones.format(now, reportZone);
         
         // Get sectors from the selector
         const sectors = elements.activeDutySectors.value;
-        
-        // Calculate max FDP based on report time and sectors
-        const fdpResult = FDPCalculator.calculate(reportTime, sectors, 'acclimatized');
-        const maxFdpMinutes = fdpResult.success ? fdpResult.maxFDP : 840;
+        const positioningSectors = parseInt(elements.activeDutyPositioning.value, 10);
+        const crew = parseCrewValue(elements.activeDutyCrew.value);
+        
+        // Calculate max FDP based on report time at the departure point, sectors,
+        // acclimatization derived from logged duties and any standby before it
+        const acclimatization = getAcclimatization(now, reportZone);
+        const fdpResult = FDPCalculator.calculate(now, sectors, acclimatization, {
+            timeZone: reportZone,
+            crew: crew,
+            standby: precedingStandby ? { type: precedingStandby.type, minutes: precedingStandby.minutes } : undefined,
+            positioningSectors: positioningSectors
+        });
+        const maxFdpMinutes = fdpResult.success ? fdpResult.maxFDP : FDPCalculator.MAX_FDP_ABSOLUTE;
         
         const result = StorageManager.startDuty({
+            dutyType: dutyType,
+            precedingStandby: precedingStandby,
+            startTime: now.toISOString(),
+            reportTimeZone: reportZone,
             reportTime: reportTime,
             sectors: parseInt(sectors),
+            positioningSectors: positioningSectors,
+            crewPilots: crew.pilots,
+            restFacility: crew.facility,
             maxFdpMinutes: maxFdpMinutes,
-            acclimatized: true
+            acclimatized: acclimatization.acclimatized
         });
         
         if (result.success) {
+            // Starting a duty ends the rest in progress
+            stopRestTimer();
+            elements.restInfo.style.display = 'none';
+            elements.fdpCard.classList.remove('rest-period');
+            
             state.currentDuty = result.duty;
+            renderDutyBreak();
+            renderExtension();
+            renderDelay();
+            renderSectorPlan(state.currentDuty.sectorPlan);
+            updateSectorPlanResults();
+            renderActiveDutyType();
             
             // Update UI
             elements.btnStartDuty.style.display = 'none';
             elements.btnEndDuty.style.display = 'flex';
             elements.dutyInfo.style.display = 'flex';
-            elements.dutyStartTime.textContent = reportTime;
+            elements.dutyStartTime.textContent = TimeZones.format(now, reportZone, { withZone: true });
             elements.fdpCard.classList.add('active-duty');
             
             // Update max FDP display
-            elements.fdpMax.textContent = fdpResult.success ? fdpResult.maxFDPReadable : '14h';
+            elements.fdpMax.textContent = fdpResult.success ? fdpResult.maxFDPReadable : FDPCalculator.formatDuration(FDPCalculator.MAX_FDP_ABSOLUTE);
             
             // Start the timer
             startDutyTimer();
+            updateComplianceDashboard();
             
-            showToast('Duty period started at ' + reportTime, 'success');
+            showToast(`${isStandbyDuty(result.duty) ? getDutyTypeName(dutyType) : 'Duty period'} started at ` +
+                elements.dutyStartTime.textContent, 'success');
         } else {
             showToast(result.error, 'error');
         }
@@ -565,19 +1988,31 @@
             return;
         }
         
-        const shouldLog = confirm('Do you want to log this duty period?\n\nClick OK to log, Cancel to discard.');
+        const standby = isStandbyDuty(state.currentDuty);
+        const shouldLog = confirm(`Do you want to log this ${standby ? 'standby' : 'duty'} period?\n\nClick OK to log, Cancel to discard.`);
         
-        // Prompt for flight time if logging
+        // Prompt for flight time if logging a flying duty
         let flightTime = 0;
-        if (shouldLog) {
+        if (shouldLog && !standby) {
             const flightTimeStr = prompt('Enter total flight time (hours):', '0');
             if (flightTimeStr !== null) {
                 flightTime = parseFloat(flightTimeStr) || 0;
             }
         }
         
+        // Positioning is logged separately from flight time
+        let positioningTime = 0;
+        if (shouldLog && state.currentDuty.positioningSectors > 0) {
+            const positioningTimeStr = prompt('Enter total positioning time (hours):', '0');
+            if (positioningTimeStr !== null) {
+                positioningTime = parseFloat(positioningTimeStr) || 0;
+            }
+        }
+        
         const result = StorageManager.endDuty({
             flightTime: flightTime,
+            positioningTime: positioningTime,
+            timeZone: getCurrentZone(),
             logDuty: shouldLog
         });
         
@@ -585,10 +2020,21 @@
             // Stop the timer
             stopDutyTimer();
             
+            // The extension report also sets the following rest
+            if (result.duty.discretion) {
+                result.record.discretionReport = buildDiscretionReport(result.duty, result.record);
+            }
+            
             // Log the duty if requested
+            let loggedRecord = null;
             if (shouldLog && result.record) {
                 const logResult = StorageManager.addDutyRecord(result.record);
-                if (logResult.success) {
+                if (logResult.success) loggedRecord = logResult.record;
+                if (logResult.success && logResult.record.discretionReport) {
+                    loadHistory();
+                    showToast('Duty logged with extension report. Following rest increases by ' +
+                        FDPCalculator.formatDuration(logResult.record.discretionReport.restIncreaseMinutes), 'success');
+                } else if (logResult.success) {
                     loadHistory();
                     showToast('Duty period ended and logged', 'success');
                 } else {
@@ -601,69 +2047,731 @@
             // Reset UI
             resetDutyUI();
             updateComplianceDashboard();
+            
+            // Only a duty that was logged is followed by a rest
+            if (loggedRecord) {
+                beginRest(loggedRecord);
+            }
         } else {
             showToast(result.error, 'error');
         }
     }
 
     /**
-     * Handle sectors change during active duty
+     * Called out from standby: log the standby and start a flying duty
+     * whose FDP is reduced by the standby time the rule pack says counts
      */
-    function handleSectorsChange() {
-        if (!state.currentDuty) return;
-        
-        const sectors = elements.activeDutySectors.value;
-        
-        // Recalculate max FDP
-        const fdpResult = FDPCalculator.calculate(
-            state.currentDuty.reportTime, 
-            sectors, 
-            state.currentDuty.acclimatized ? 'acclimatized' : 'unacclimatized'
-        );
-        
-        const maxFdpMinutes = fdpResult.success ? fdpResult.maxFDP : 840;
+    function handleCallOut() {
+        if (!state.currentDuty || !isStandbyDuty(state.currentDuty)) return;
         
-        // Update active duty
-        StorageManager.updateActiveDuty({
-            sectors: parseInt(sectors),
-            maxFdpMinutes: maxFdpMinutes
+        const now = new Date();
+        const standbyMinutes = Math.floor((now - new Date(state.currentDuty.startTime)) / 60000);
+        const result = StorageManager.endDuty({
+            endTime: now,
+            timeZone: getCurrentZone(),
+            logDuty: true
         });
+        if (!result.success) {
+            showToast(result.error, 'error');
+            return;
+        }
         
-        // Update state
-        state.currentDuty.sectors = parseInt(sectors);
-        state.currentDuty.maxFdpMinutes = maxFdpMinutes;
+        stopDutyTimer();
+        const logResult = StorageManager.addDutyRecord(result.record);
+        if (!logResult.success) {
+            showToast('Standby ended but failed to log: ' + logResult.error, 'warning');
+        }
         
-        // Update display
-        elements.fdpMax.textContent = fdpResult.success ? fdpResult.maxFDPReadable : '14h';
+        resetDutyUI();
+        loadHistory();
+        updateComplianceDashboard();
         
-        // Immediately update the FDP card
-        updateDutyDisplay();
+        startDuty('flight', {
+            type: result.duty.dutyType,
+            minutes: standbyMinutes,
+            recordId: logResult.success ? logResult.record.id : null
+        });
     }
 
     /**
-     * Restore active duty from storage on page load
+     * Display name of a duty type
      */
-    function restoreActiveDuty() {
-        const activeDuty = StorageManager.getActiveDuty();
+    function getDutyTypeName(dutyType) {
+        const type = getStandbyTypes()[dutyType];
+        return type ? type.name : 'Flight duty';
+    }
+
+    /**
+     * Show the controls that apply to the active duty's type
+     */
+    function renderActiveDutyType() {
+        const duty = state.currentDuty;
+        const standby = !!duty && isStandbyDuty(duty);
+        
+        elements.startDutyType.style.display = duty ? 'none' : '';
+        elements.btnCallOut.style.display = standby ? 'flex' : 'none';
+        elements.dutyInfo.querySelectorAll('.flight-only').forEach(row => {
+            row.style.display = standby ? 'none' : '';
+        });
+        if (standby) {
+            elements.dutyBreakControls.style.display = 'none';
+        } else {
+            elements.dutyBreakControls.style.display = FDPCalculator.getSplitDutyRules() ? 'flex' : 'none';
+        }
         
-        if (activeDuty) {
-            state.currentDuty = activeDuty;
+        // Standby in progress, or the standby a flying duty was called out from
+        const standbyInfo = standby
+            ? { type: duty.dutyType, minutes: null }
+            : duty && duty.precedingStandby;
+        elements.dutyStandbyRow.style.display = standbyInfo ? 'flex' : 'none';
+        if (standbyInfo && standbyInfo.minutes !== null) {
+            const reduction = FDPCalculator.getStandbyReduction(standbyInfo.type, standbyInfo.minutes);
+            elements.dutyStandbyInfo.textContent = reduction.error
+                ? getDutyTypeName(standbyInfo.type)
+                : `${reduction.name} ${FDPCalculator.formatDuration(reduction.minutes)}` +
+                  (reduction.reduction > 0 ? ` (FDP -${FDPCalculator.formatDuration(reduction.reduction)})` : '');
+        } else if (standbyInfo) {
+            const type = getStandbyTypes()[standbyInfo.type];
+            elements.dutyStandbyInfo.textContent = type
+                ? `${type.name} (${Math.round(type.dutyCredit * 100)}% counts as duty)`
+                : getDutyTypeName(standbyInfo.type);
+        }
+    }
+
+    /**
+     * Update the FDP card while on standby or reserve
+     */
+    function updateStandbyDisplay(elapsedMinutes) {
+        const duty = state.currentDuty;
+        const type = getStandbyTypes()[duty.dutyType];
+        const reduceAfter = type ? type.fdpReductionAfter : null;
+        const statusEl = elements.fdpStatus;
+        
+        elements.fdpCurrent.textContent = FDPCalculator.minutesToTime(elapsedMinutes);
+        elements.fdpMax.textContent = reduceAfter === null ? '--:--' : FDPCalculator.minutesToTime(reduceAfter);
+        elements.fdpProgress.style.width = reduceAfter ? `${Math.min((elapsedMinutes / reduceAfter) * 100, 100)}%` : '0%';
+        elements.fdpCard.classList.remove('warning', 'danger');
+        
+        if (reduceAfter === null) {
+            elements.fdpRemaining.textContent = `${getDutyTypeName(duty.dutyType)}: no FDP reduction on call-out`;
+            statusEl.className = 'card-status status-good';
+            statusEl.textContent = 'STANDBY';
+        } else if (elapsedMinutes < reduceAfter) {
+            elements.fdpRemaining.textContent = `${FDPCalculator.formatDuration(reduceAfter - elapsedMinutes)} until call-out FDP is reduced`;
+            statusEl.className = 'card-status status-good';
+            statusEl.textContent = 'STANDBY';
+        } else {
+            const reduction = FDPCalculator.getStandbyReduction(duty.dutyType, elapsedMinutes);
+            elements.fdpCard.classList.add('warning');
+            elements.fdpRemaining.textContent = `Call-out FDP reduced by ${FDPCalculator.formatDuration(reduction.reduction)}`;
+            statusEl.className = 'card-status status-warning';
+            statusEl.textContent = 'REDUCING';
+        }
+    }
+
+    /**
+     * Handle sectors change during active duty
+     */
+    function handleSectorsChange() {
+        if (!state.currentDuty) return;
+        
+        const sectors = elements.activeDutySectors.value;
+        
+        // Recalculate max FDP
+        const fdpResult = calculateActiveFDP(state.currentDuty, sectors);
+        
+        const maxFdpMinutes = fdpResult.success ? fdpResult.maxFDP : FDPCalculator.MAX_FDP_ABSOLUTE;
+        
+        // Update active duty
+        StorageManager.updateActiveDuty({
+            sectors: parseInt(sectors),
+            maxFdpMinutes: maxFdpMinutes
+        });
+        
+        // Update state
+        state.currentDuty.sectors = parseInt(sectors);
+        state.currentDuty.maxFdpMinutes = maxFdpMinutes;
+        
+        // The rule pack decides whether a delayed report moves the FDP start
+        if (state.currentDuty.delayedReporting && fdpResult.success) {
+            state.currentDuty.fdpStartTime = fdpResult.reportDateTime;
+            StorageManager.updateActiveDuty({ fdpStartTime: fdpResult.reportDateTime });
+            renderDelay();
+        }
+        
+        // Update display
+        elements.fdpMax.textContent = fdpResult.success ? fdpResult.maxFDPReadable : FDPCalculator.formatDuration(FDPCalculator.MAX_FDP_ABSOLUTE);
+        
+        // Immediately update the FDP card and the sector plan
+        updateDutyDisplay();
+        updateSectorPlanResults();
+    }
+
+    /**
+     * Handle positioning sectors change during active duty
+     */
+    function handlePositioningChange() {
+        if (!state.currentDuty) return;
+        
+        const positioningSectors = parseInt(elements.activeDutyPositioning.value, 10);
+        StorageManager.updateActiveDuty({ positioningSectors: positioningSectors });
+        state.currentDuty.positioningSectors = positioningSectors;
+        
+        // Recalculate max FDP in case the rule pack counts positioning as sectors
+        handleSectorsChange();
+    }
+
+    /**
+     * FDP calculator options for the active duty, including a completed split duty break
+     */
+    function getActiveFDPOptions(duty) {
+        const splitBreak = duty.splitBreak;
+        
+        return {
+            timeZone: duty.reportTimeZone,
+            crew: { pilots: duty.crewPilots, facility: duty.restFacility },
+            discretion: duty.discretion ? { minutes: duty.discretion.minutes } : undefined,
+            standby: duty.precedingStandby
+                ? { type: duty.precedingStandby.type, minutes: duty.precedingStandby.minutes }
+                : undefined,
+            positioningSectors: duty.positioningSectors || 0,
+            delayedReporting: duty.delayedReporting || undefined,
+            splitDuty: splitBreak && splitBreak.end ? {
+                breakStart: splitBreak.start,
+                breakEnd: splitBreak.end,
+                accommodation: splitBreak.accommodation
+            } : undefined
+        };
+    }
+    
+    /**
+     * Calculate the active duty's FDP
+     */
+    function calculateActiveFDP(duty, sectors) {
+        return FDPCalculator.calculate(
+            duty.startTime,
+            sectors,
+            duty.acclimatized ? 'acclimatized' : 'unacclimatized',
+            getActiveFDPOptions(duty)
+        );
+    }
+
+    /**
+     * Get the active duty's sector plan
+     */
+    function getSectorPlan() {
+        return state.currentDuty.sectorPlan || { flown: 0, sectors: [] };
+    }
+
+    /**
+     * Most sectors the active duty can have (the last option of its sector selector)
+     */
+    function getMaxActiveSectors() {
+        const options = elements.activeDutySectors.options;
+        return parseInt(options[options.length - 1].value, 10);
+    }
+
+    /**
+     * Save a changed sector plan and keep the duty's sector count in step with it
+     */
+    function saveSectorPlan(plan) {
+        state.currentDuty.sectorPlan = plan;
+        StorageManager.updateActiveDuty({ sectorPlan: plan });
+        
+        if (plan.sectors.length > 0) {
+            const total = Math.max(1, Math.min(plan.flown + plan.sectors.length, getMaxActiveSectors()));
+            if (total !== parseInt(elements.activeDutySectors.value, 10)) {
+                elements.activeDutySectors.value = total;
+                handleSectorsChange();
+                return;
+            }
+        }
+        
+        updateSectorPlanResults();
+    }
+
+    /**
+     * Add a remaining sector to the plan
+     */
+    function handleAddPlannedSector() {
+        if (!state.currentDuty) return;
+        
+        const plan = getSectorPlan();
+        if (plan.flown + plan.sectors.length >= getMaxActiveSectors()) {
+            showToast(`A duty can have at most ${getMaxActiveSectors()} sectors`, 'warning');
+            return;
+        }
+        plan.sectors.push({ blockOff: '', blockOn: '' });
+        renderSectorPlan(plan);
+        saveSectorPlan(plan);
+    }
+
+    /**
+     * Handle changes to the sectors already flown
+     */
+    function handlePlanFlownChange() {
+        if (!state.currentDuty) return;
+        
+        const plan = getSectorPlan();
+        plan.flown = parseInt(elements.planFlownSectors.value, 10) || 0;
+        renderSectorPlan(plan);
+        saveSectorPlan(plan);
+    }
+
+    /**
+     * Handle block time edits in the planner
+     */
+    function handlePlannerInput(e) {
+        const index = parseInt(e.target.dataset.index, 10);
+        const field = e.target.dataset.field;
+        if (!state.currentDuty || isNaN(index) || !field) return;
+        
+        const plan = getSectorPlan();
+        plan.sectors[index][field] = e.target.value;
+        saveSectorPlan(plan);
+    }
+
+    /**
+     * Handle removing a sector from the planner
+     */
+    function handlePlannerClick(e) {
+        const button = e.target.closest('[data-remove]');
+        if (!state.currentDuty || !button) return;
+        
+        const plan = getSectorPlan();
+        plan.sectors.splice(parseInt(button.dataset.remove, 10), 1);
+        renderSectorPlan(plan);
+        saveSectorPlan(plan);
+    }
+
+    /**
+     * Render the planner rows for the remaining sectors
+     */
+    function renderSectorPlan(plan) {
+        plan = plan || { flown: 0, sectors: [] };
+        elements.planFlownSectors.value = plan.flown;
+        elements.plannerTable.style.display = plan.sectors.length > 0 ? '' : 'none';
+        elements.plannerBody.innerHTML = plan.sectors.map((sector, index) => `
+            <tr>
+                <td>${plan.flown + index + 1}</td>
+                <td><input type="time" class="duty-sectors-select" data-index="${index}" data-field="blockOff" value="${escapeHtml(sector.blockOff)}"></td>
+                <td><input type="time" class="duty-sectors-select" data-index="${index}" data-field="blockOn" value="${escapeHtml(sector.blockOn)}"></td>
+                <td class="planner-latest">--</td>
+                <td><button class="btn-secondary" type="button" data-remove="${index}" title="Remove sector">&times;</button></td>
+            </tr>
+        `).join('');
+        
+        if (!state.currentDuty) {
+            elements.plannerSummary.textContent = '';
+            elements.plannerSummary.classList.remove('planner-bust');
+        }
+    }
+
+    /**
+     * Show the latest legal block-on for each planned sector and which would exceed the FDP
+     */
+    function updateSectorPlanResults() {
+        if (!state.currentDuty) return;
+        
+        const duty = state.currentDuty;
+        const plan = getSectorPlan();
+        const cells = elements.plannerBody.querySelectorAll('.planner-latest');
+        const summary = elements.plannerSummary;
+        
+        // Plan only the sectors whose block times are filled in
+        const complete = [];
+        for (const sector of plan.sectors) {
+            if (!sector.blockOff || !sector.blockOn) break;
+            complete.push(sector);
+        }
+        
+        cells.forEach(cell => {
+            cell.textContent = '--';
+            cell.classList.remove('planner-bust');
+        });
+        summary.classList.remove('planner-bust');
+        if (complete.length === 0) {
+            summary.textContent = plan.sectors.length > 0 ? 'Enter block-off and block-on times' : '';
+            return;
+        }
+        
+        const result = FDPCalculator.planSectors(
+            duty.startTime,
+            plan.flown,
+            complete,
+            duty.acclimatized ? 'acclimatized' : 'unacclimatized',
+            getActiveFDPOptions(duty)
+        );
+        if (!result.success) {
+            summary.textContent = result.error;
+            summary.classList.add('planner-bust');
+            return;
+        }
+        
+        const zone = duty.reportTimeZone || getCurrentZone();
+        result.sectors.forEach((sector, index) => {
+            cells[index].textContent = `${TimeZones.format(sector.latestBlockOnDateTime, zone)} (${sector.marginFormatted})`;
+            cells[index].classList.toggle('planner-bust', !sector.legal);
+        });
+        
+        if (result.firstIllegalSector !== null) {
+            const bust = result.sectors.find(sector => sector.number === result.firstIllegalSector);
+            summary.textContent = `Sector ${bust.number} would exceed the FDP by ${bust.marginFormatted.slice(1)}; ` +
+                `latest block-off ${TimeZones.format(bust.latestBlockOffDateTime, zone, { withZone: true })}`;
+            summary.classList.add('planner-bust');
+        } else {
+            const last = result.sectors[result.sectors.length - 1];
+            summary.textContent = `All planned sectors legal; latest block-on for sector ${last.number} ` +
+                TimeZones.format(last.latestBlockOnDateTime, zone, { withZone: true });
+        }
+    }
+
+    /**
+     * Handle crew composition change during active duty
+     */
+    function handleCrewChange() {
+        if (!state.currentDuty) return;
+        
+        const crew = parseCrewValue(elements.activeDutyCrew.value);
+        StorageManager.updateActiveDuty({
+            crewPilots: crew.pilots,
+            restFacility: crew.facility
+        });
+        state.currentDuty.crewPilots = crew.pilots;
+        state.currentDuty.restFacility = crew.facility;
+        
+        renderDutyBreak();
+        
+        // Recalculate max FDP under the matching table
+        handleSectorsChange();
+    }
+
+    /**
+     * Declare a PIC discretion extension for unforeseen operational circumstances
+     */
+    function handleDeclareExtension() {
+        if (!state.currentDuty) return;
+        
+        const rules = FDPCalculator.getDiscretionRules();
+        if (!rules) {
+            showToast('The active rule pack does not allow a PIC discretion extension', 'error');
+            return;
+        }
+        if (state.currentDuty.discretion) {
+            showToast('An extension has already been declared for this duty', 'warning');
+            return;
+        }
+        
+        const reason = prompt('Describe the unforeseen operational circumstances:', '');
+        if (reason === null) return;
+        if (!reason.trim()) {
+            showToast('A reason is required to declare an extension', 'warning');
+            return;
+        }
+        
+        const hoursStr = prompt(`Extension needed (hours, max ${FDPCalculator.formatDuration(rules.maxExtension)}):`, '1');
+        if (hoursStr === null) return;
+        
+        const discretion = {
+            reason: reason.trim(),
+            minutes: Math.round((parseFloat(hoursStr) || 0) * 60),
+            declaredAt: new Date().toISOString()
+        };
+        
+        const fdpResult = calculateActiveFDP({ ...state.currentDuty, discretion: discretion }, state.currentDuty.sectors);
+        if (!fdpResult.success) {
+            showToast(fdpResult.error, 'error');
+            return;
+        }
+        
+        state.currentDuty.discretion = discretion;
+        state.currentDuty.maxFdpMinutes = fdpResult.maxFDP;
+        StorageManager.updateActiveDuty({
+            discretion: discretion,
+            maxFdpMinutes: fdpResult.maxFDP
+        });
+        
+        elements.fdpMax.textContent = fdpResult.maxFDPReadable;
+        renderExtension();
+        updateDutyDisplay();
+        
+        showToast(`Extension of ${FDPCalculator.formatDuration(discretion.minutes)} declared`, 'success');
+    }
+
+    /**
+     * Show the declared extension for the active duty
+     */
+    function renderExtension() {
+        const discretion = state.currentDuty ? state.currentDuty.discretion : null;
+        
+        elements.dutyExtensionInfo.textContent = discretion
+            ? `+${FDPCalculator.formatDuration(discretion.minutes)} declared`
+            : 'None';
+        elements.dutyExtensionInfo.title = discretion ? discretion.reason : '';
+        elements.btnDeclareExtension.disabled = !!discretion || !FDPCalculator.getDiscretionRules();
+    }
+
+    /**
+     * Record a delayed report notified after the duty was started
+     * The duty's start is the original report; the FDP start and limit follow the delay.
+     */
+    function handleReportDelay() {
+        if (!state.currentDuty) return;
+        
+        if (!FDPCalculator.getDelayedReportingRules()) {
+            showToast('The active rule pack has no delayed reporting provisions', 'error');
+            return;
+        }
+        
+        const zone = state.currentDuty.reportTimeZone || getCurrentZone();
+        const now = new Date();
+        const delayedReportTime = prompt('Delayed report time (HH:MM, local at departure):', '');
+        if (delayedReportTime === null) return;
+        const notifiedStr = prompt('When were you notified? (HH:MM, local at departure):', TimeZones.format(now, zone));
+        if (notifiedStr === null) return;
+        
+        // The notification is the latest such local time that is not in the future
+        let notifiedAt = TimeZones.fromZonedDateTime(TimeZones.getZonedParts(now, zone).date, notifiedStr.trim(), zone);
+        if (!notifiedAt) {
+            showToast('Invalid notification time format. Please use HH:MM.', 'error');
+            return;
+        }
+        if (notifiedAt > now) {
+            notifiedAt = new Date(notifiedAt.getTime() - 86400000);
+        }
+        
+        const delayedReporting = {
+            notificationTime: notifiedAt.toISOString(),
+            delayedReportTime: delayedReportTime.trim()
+        };
+        const fdpResult = calculateActiveFDP({ ...state.currentDuty, delayedReporting: delayedReporting }, state.currentDuty.sectors);
+        if (!fdpResult.success) {
+            showToast(fdpResult.error, 'error');
+            return;
+        }
+        
+        const updates = {
+            delayedReporting: delayedReporting,
+            fdpStartTime: fdpResult.reportDateTime,
+            maxFdpMinutes: fdpResult.maxFDP
+        };
+        Object.assign(state.currentDuty, updates);
+        StorageManager.updateActiveDuty(updates);
+        
+        elements.fdpMax.textContent = fdpResult.maxFDPReadable;
+        renderDelay();
+        updateDutyDisplay();
+        
+        showToast(fdpResult.delayedReporting.info, fdpResult.delayedReporting.recognized ? 'success' : 'warning');
+    }
+
+    /**
+     * Show the delayed report for the active duty
+     */
+    function renderDelay() {
+        const duty = state.currentDuty;
+        const delayed = duty && duty.delayedReporting;
+        
+        if (!delayed) {
+            elements.dutyDelayInfo.textContent = 'None';
+            elements.dutyDelayInfo.title = '';
+        } else {
+            const fdpResult = calculateActiveFDP(duty, duty.sectors);
+            const zone = duty.reportTimeZone || getCurrentZone();
+            elements.dutyDelayInfo.textContent = fdpResult.success && fdpResult.delayedReporting.recognized
+                ? `FDP from ${TimeZones.format(fdpResult.reportDateTime, zone, { withZone: true })}`
+                : 'Not recognized';
+            elements.dutyDelayInfo.title = fdpResult.success ? fdpResult.delayedReporting.info : '';
+        }
+        elements.btnReportDelay.disabled = !FDPCalculator.getDelayedReportingRules();
+    }
+
+    /**
+     * Build the extension report the operator must keep for a PIC discretion extension
+     */
+    function buildDiscretionReport(duty, record) {
+        const base = calculateActiveFDP({ ...duty, discretion: null }, duty.sectors);
+        const baseMaxFdp = base.success ? base.maxFDP : duty.maxFdpMinutes - duty.discretion.minutes;
+        const actualFdp = Math.round((new Date(record.releaseDateTime) - new Date(record.reportDateTime)) / 60000);
+        const summary = FDPCalculator.summarizeDiscretion(baseMaxFdp, actualFdp, duty.discretion.minutes);
+        const pack = RulePacks.getActive();
+        
+        return {
+            type: 'pic-discretion',
+            rulePack: `${pack.name}, version ${pack.version}`,
+            reason: duty.discretion.reason,
+            declaredAt: duty.discretion.declaredAt,
+            reportDateTime: record.reportDateTime,
+            releaseDateTime: record.releaseDateTime,
+            timeZone: duty.reportTimeZone || getCurrentZone(),
+            sectors: duty.sectors,
+            crewPilots: duty.crewPilots || 2,
+            maxFdpMinutes: baseMaxFdp,
+            actualFdpMinutes: actualFdp,
+            declaredMinutes: duty.discretion.minutes,
+            usedMinutes: summary.used,
+            restIncreaseMinutes: summary.restIncrease,
+            exceededDeclared: summary.exceededDeclared,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Format an extension report as plain text for the operator's records
+     */
+    function formatDiscretionReport(report) {
+        const zone = report.timeZone;
+        const at = (iso) => TimeZones.format(iso, zone, { withDate: true, withZone: true }) +
+            ` (${TimeZones.format(iso, 'UTC', { withZone: true })})`;
+        const duration = FDPCalculator.formatDuration;
+        
+        return [
+            'FDP EXTENSION REPORT - PIC DISCRETION (UNFORESEEN OPERATIONAL CIRCUMSTANCES)',
+            '',
+            `Rule pack:              ${report.rulePack}`,
+            `Report:                 ${at(report.reportDateTime)}`,
+            `Release:                ${at(report.releaseDateTime)}`,
+            `Crew / sectors:         ${report.crewPilots} pilots / ${report.sectors}`,
+            `Maximum FDP:            ${duration(report.maxFdpMinutes)}`,
+            `Actual FDP:             ${duration(report.actualFdpMinutes)}`,
+            `Extension declared:     ${duration(report.declaredMinutes)} at ${at(report.declaredAt)}`,
+            `Extension used:         ${duration(report.usedMinutes)}${report.exceededDeclared ? ' (more than declared)' : ''}`,
+            `Following rest increase: ${duration(report.restIncreaseMinutes)}`,
+            '',
+            'Reason:',
+            report.reason,
+            '',
+            `Generated ${report.createdAt}`
+        ].join('\n');
+    }
+
+    /**
+     * Download the extension report of a logged duty (exposed globally for onclick)
+     */
+    window.downloadExtensionReport = function(id) {
+        const record = StorageManager.getDutyRecords().find(r => r.id === id);
+        if (!record || !record.discretionReport) {
+            showToast('No extension report for this duty', 'warning');
+            return;
+        }
+        
+        const blob = new Blob([formatDiscretionReport(record.discretionReport)], { type: 'text/plain' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `extension-report-${record.date}.txt`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    };
+
+    /**
+     * Start or stop a split duty break during the active duty
+     */
+    function handleDutyBreak() {
+        if (!state.currentDuty) return;
+        
+        const now = new Date().toISOString();
+        const current = state.currentDuty.splitBreak;
+        
+        if (!current) {
+            const splitBreak = {
+                start: now,
+                end: null,
+                accommodation: elements.activeBreakAccommodation.value
+            };
+            
+            StorageManager.updateActiveDuty({ splitBreak: splitBreak });
+            state.currentDuty.splitBreak = splitBreak;
+            renderDutyBreak();
+            updateDutyDisplay();
+            
+            showToast('Split duty break started', 'info');
+            return;
+        }
+        
+        if (current.end) return;
+        
+        state.currentDuty.splitBreak = { ...current, end: now };
+        const fdpResult = calculateActiveFDP(state.currentDuty, state.currentDuty.sectors);
+        
+        if (fdpResult.success) {
+            state.currentDuty.maxFdpMinutes = fdpResult.maxFDP;
+            state.currentDuty.splitBreak.info = fdpResult.splitDuty.info;
+            elements.fdpMax.textContent = fdpResult.maxFDPReadable;
+        } else {
+            state.currentDuty.splitBreak.info = fdpResult.error;
+        }
+        
+        StorageManager.updateActiveDuty({
+            splitBreak: state.currentDuty.splitBreak,
+            maxFdpMinutes: state.currentDuty.maxFdpMinutes
+        });
+        
+        renderDutyBreak();
+        updateDutyDisplay();
+        
+        showToast('Split duty break ended. ' + state.currentDuty.splitBreak.info,
+            fdpResult.success ? 'success' : 'warning');
+    }
+
+    /**
+     * Show the split duty break controls for the active duty
+     */
+    function renderDutyBreak() {
+        const splitBreak = state.currentDuty ? state.currentDuty.splitBreak : null;
+        
+        const augmented = !!(state.currentDuty && state.currentDuty.crewPilots > 2);
+        
+        // A split duty break and an augmented crew are mutually exclusive
+        elements.activeDutyCrew.disabled = !!splitBreak;
+        elements.activeBreakAccommodation.disabled = !!splitBreak || augmented;
+        elements.btnDutyBreak.disabled = !!(splitBreak && splitBreak.end) || augmented;
+        elements.dutyBreakRow.style.display = splitBreak ? 'flex' : 'none';
+        
+        if (!splitBreak) {
+            elements.btnDutyBreak.textContent = 'Start Break';
+            return;
+        }
+        
+        elements.activeBreakAccommodation.value = splitBreak.accommodation;
+        elements.btnDutyBreak.textContent = splitBreak.end ? 'Break Taken' : 'End Break';
+        if (splitBreak.end) {
+            elements.dutyBreakInfo.textContent = splitBreak.info || '--';
+        }
+    }
+
+    /**
+     * Restore active duty from storage on page load
+     */
+    function restoreActiveDuty() {
+        const activeDuty = StorageManager.getActiveDuty();
+        
+        if (activeDuty) {
+            state.currentDuty = activeDuty;
             
             // Update UI
             elements.btnStartDuty.style.display = 'none';
             elements.btnEndDuty.style.display = 'flex';
             elements.dutyInfo.style.display = 'flex';
-            elements.dutyStartTime.textContent = activeDuty.reportTime;
+            elements.dutyStartTime.textContent = activeDuty.reportTimeZone
+                ? TimeZones.format(activeDuty.startTime, activeDuty.reportTimeZone, { withZone: true })
+                : activeDuty.reportTime;
             elements.activeDutySectors.value = activeDuty.sectors;
+            elements.activeDutyPositioning.value = activeDuty.positioningSectors || 0;
+            elements.activeDutyCrew.value = toCrewValue(activeDuty.crewPilots, activeDuty.restFacility);
             elements.fdpCard.classList.add('active-duty');
             
             // Calculate and display max FDP
-            const fdpResult = FDPCalculator.calculate(
-                activeDuty.reportTime, 
-                activeDuty.sectors.toString(), 
-                activeDuty.acclimatized ? 'acclimatized' : 'unacclimatized'
-            );
-            elements.fdpMax.textContent = fdpResult.success ? fdpResult.maxFDPReadable : '14h';
+            const fdpResult = calculateActiveFDP(activeDuty, activeDuty.sectors.toString());
+            elements.fdpMax.textContent = fdpResult.success ? fdpResult.maxFDPReadable : FDPCalculator.formatDuration(FDPCalculator.MAX_FDP_ABSOLUTE);
+            
+            renderDutyBreak();
+            renderExtension();
+            renderDelay();
+            renderSectorPlan(state.currentDuty.sectorPlan);
+            updateSectorPlanResults();
+            renderActiveDutyType();
             
             // Start the timer
             startDutyTimer();
@@ -672,6 +2780,99 @@
         }
     }
 
+    /**
+     * Restore the rest in progress from storage on page load
+     */
+    function restoreActiveRest() {
+        if (state.currentDuty) return;
+        
+        const activeRest = StorageManager.getActiveRest();
+        if (activeRest) {
+            state.currentRest = activeRest;
+            startRestTimer();
+        }
+    }
+
+    /**
+     * Start tracking the rest after a duty ends
+     * Reserve (no duty credit in the rule pack) is not duty and needs no rest.
+     */
+    function beginRest(record) {
+        const standbyType = getStandbyTypes()[record.dutyType];
+        if (standbyType && standbyType.dutyCredit === 0) return;
+        
+        const result = StorageManager.startRest(record);
+        if (result.success) {
+            state.currentRest = result.rest;
+            startRestTimer();
+        }
+    }
+
+    /**
+     * Start the rest timer
+     */
+    function startRestTimer() {
+        if (state.restTimerInterval) {
+            clearInterval(state.restTimerInterval);
+        }
+        
+        elements.restInfo.style.display = 'flex';
+        elements.fdpCard.classList.add('rest-period');
+        updateRestDisplay();
+        
+        state.restTimerInterval = setInterval(updateRestDisplay, 1000);
+    }
+
+    /**
+     * Stop the rest timer
+     */
+    function stopRestTimer() {
+        if (state.restTimerInterval) {
+            clearInterval(state.restTimerInterval);
+            state.restTimerInterval = null;
+        }
+        state.currentRest = null;
+    }
+
+    /**
+     * Update the FDP card with the rest in progress
+     * The rest is forgotten once the recommended rest has passed.
+     */
+    function updateRestDisplay() {
+        if (!state.currentRest) return;
+        
+        const rest = state.currentRest;
+        const result = RestCalculator.calculateForRecord(rest);
+        const elapsedMinutes = Math.max(0, Math.floor((new Date() - new Date(rest.releaseDateTime)) / 60000));
+        
+        if (!result.success || elapsedMinutes >= result.recommendedRest) {
+            StorageManager.clearActiveRest();
+            stopRestTimer();
+            elements.restInfo.style.display = 'none';
+            elements.fdpCard.classList.remove('rest-period');
+            resetDutyUI();
+            return;
+        }
+        
+        const zone = rest.releaseTimeZone;
+        const rested = elapsedMinutes >= result.minRest;
+        
+        elements.fdpCurrent.textContent = FDPCalculator.minutesToTime(elapsedMinutes);
+        elements.fdpMax.textContent = result.minRestReadable;
+        elements.fdpProgress.style.width = `${Math.min(100, (elapsedMinutes / result.minRest) * 100)}%`;
+        elements.fdpRemaining.textContent = rested
+            ? `Minimum rest met, ${RestCalculator.formatDuration(result.recommendedRest - elapsedMinutes)} to recommended`
+            : `Rest: ${RestCalculator.formatDuration(result.minRest - elapsedMinutes)} to minimum`;
+        elements.fdpStatus.className = rested ? 'card-status status-good' : 'card-status status-warning';
+        elements.fdpStatus.textContent = rested ? 'RESTED' : 'REST';
+        
+        elements.restReleaseTime.textContent = TimeZones.format(rest.releaseDateTime, zone, { withDate: true, withZone: true });
+        elements.restMinimumInfo.textContent = result.minRestReadable;
+        elements.restRecommendedInfo.textContent = `${result.recommendedRestReadable} (` +
+            TimeZones.format(result.recommendedNextReportDateTime, zone, { withDate: true, withZone: true }) + ')';
+        elements.restEarliestReport.textContent = TimeZones.format(result.nextReportDateTime, zone, { withDate: true, withZone: true });
+    }
+
     /**
      * Start the duty timer
      */
@@ -681,7 +2882,8 @@
             clearInterval(state.dutyTimerInterval);
         }
         
-        // Update immediately
+        // Update immediately, checks included
+        state.dutyChecksMinute = null;
         updateDutyDisplay();
         
         // Update every second
@@ -697,6 +2899,7 @@
             state.dutyTimerInterval = null;
         }
         state.currentDuty = null;
+        state.dutyChecksMinute = null;
     }
 
     /**
@@ -705,18 +2908,59 @@
     function updateDutyDisplay() {
         if (!state.currentDuty) return;
         
-        const startTime = new Date(state.currentDuty.startTime);
+        // A delayed report moves the FDP start
+        const startTime = new Date(state.currentDuty.fdpStartTime || state.currentDuty.startTime);
         const now = new Date();
         const elapsedMs = now - startTime;
-        const elapsedMinutes = Math.floor(elapsedMs / 60000);
+        const elapsedMinutes = Math.max(0, Math.floor(elapsedMs / 60000));
+        
+        // The duty counts toward the rolling totals: recheck them every minute
+        if (elapsedMinutes !== state.dutyChecksMinute) {
+            state.dutyChecksMinute = elapsedMinutes;
+            updateDutyChecks();
+        }
+        
+        if (isStandbyDuty(state.currentDuty)) {
+            updateStandbyDisplay(elapsedMinutes);
+            return;
+        }
         
         const hours = Math.floor(elapsedMinutes / 60);
         const minutes = elapsedMinutes % 60;
-        const maxMinutes = state.currentDuty.maxFdpMinutes || 840;
+        const maxMinutes = state.currentDuty.maxFdpMinutes || FDPCalculator.MAX_FDP_ABSOLUTE;
         
         // Update current time
         elements.fdpCurrent.textContent = `${hours}:${minutes.toString().padStart(2, '0')}`;
         
+        // Split duty break in progress: show the extension earned so far
+        const splitBreak = state.currentDuty.splitBreak;
+        if (splitBreak && !splitBreak.end) {
+            const projected = calculateActiveFDP({
+                ...state.currentDuty,
+                splitBreak: { ...splitBreak, end: now.toISOString() }
+            }, state.currentDuty.sectors);
+            const breakMinutes = Math.floor((now - new Date(splitBreak.start)) / 60000);
+            elements.dutyBreakInfo.textContent = `On break ${FDPCalculator.formatDuration(breakMinutes)}` +
+                (projected.success ? ` (${projected.splitDuty.info})` : '');
+        }
+        
+        // FDP end at departure, home base and Zulu
+        const fdpEnd = new Date(startTime.getTime() + maxMinutes * 60000);
+        const departureZone = state.currentDuty.reportTimeZone || getCurrentZone();
+        elements.dutyFdpEnd.textContent = [
+            TimeZones.format(fdpEnd, departureZone, { withZone: true }),
+            TimeZones.format(fdpEnd, getHomeZone(), { withZone: true }),
+            TimeZones.format(fdpEnd, 'UTC', { withZone: true })
+        ].join(' / ');
+        
+        // WOCL overlap of the FDP, and how much of it has been worked
+        const startLocalMinutes = TimeZones.getZonedParts(startTime, departureZone).minutes;
+        const woclMinutes = FDPCalculator.getWOCLOverlap(startLocalMinutes, maxMinutes);
+        elements.dutyWoclInfo.textContent = woclMinutes > 0
+            ? `${FDPCalculator.formatDuration(FDPCalculator.getWOCLOverlap(startLocalMinutes, Math.min(elapsedMinutes, maxMinutes)))}` +
+              ` of ${FDPCalculator.formatDuration(woclMinutes)} worked`
+            : 'None';
+        
         // Update progress bar
         const percentage = Math.min((elapsedMinutes / maxMinutes) * 100, 100);
         elements.fdpProgress.style.width = `${percentage}%`;
@@ -725,24 +2969,29 @@
         const remainingMinutes = Math.max(maxMinutes - elapsedMinutes, 0);
         const remainingHours = Math.floor(remainingMinutes / 60);
         const remainingMins = remainingMinutes % 60;
-        elements.fdpRemaining.textContent = `${remainingHours}h ${remainingMins}m remaining`;
+        elements.fdpRemaining.textContent = now < startTime
+            ? `Delayed report: FDP starts at ${TimeZones.format(startTime, departureZone, { withZone: true })}`
+            : `${remainingHours}h ${remainingMins}m remaining`;
         
-        // Update status based on percentage
+        // Update status against the FDP alert thresholds
         const statusEl = elements.fdpStatus;
         const card = elements.fdpCard;
+        const status = ComplianceChecker.getStatus(elapsedMinutes, maxMinutes, 'fdp');
         
         card.classList.remove('warning', 'danger');
         
-        if (percentage >= 100) {
+        if (status === 'exceeded') {
             card.classList.add('danger');
             statusEl.className = 'card-status status-danger';
             statusEl.textContent = 'EXCEEDED';
-            elements.fdpRemaining.textContent = 'FDP LIMIT EXCEEDED!';
-        } else if (percentage >= 90) {
+            elements.fdpRemaining.textContent = state.currentDuty.discretion
+                ? 'EXTENDED FDP LIMIT EXCEEDED!'
+                : 'FDP LIMIT EXCEEDED! Declare an extension if circumstances were unforeseen.';
+        } else if (status === 'danger') {
             card.classList.add('danger');
             statusEl.className = 'card-status status-danger';
             statusEl.textContent = 'CRITICAL';
-        } else if (percentage >= 75) {
+        } else if (status === 'warning') {
             card.classList.add('warning');
             statusEl.className = 'card-status status-warning';
             statusEl.textContent = 'CAUTION';
@@ -761,12 +3010,270 @@
         elements.dutyInfo.style.display = 'none';
         elements.fdpCard.classList.remove('active-duty', 'warning', 'danger');
         elements.fdpCurrent.textContent = '0:00';
-        elements.fdpMax.textContent = '14:00';
+        elements.fdpMax.textContent = FDPCalculator.minutesToTime(FDPCalculator.MAX_FDP_ABSOLUTE);
         elements.fdpProgress.style.width = '0%';
         elements.fdpRemaining.textContent = 'Not on duty';
         elements.fdpStatus.className = 'card-status status-good';
         elements.fdpStatus.textContent = 'OK';
         elements.activeDutySectors.value = '2';
+        elements.activeDutyPositioning.value = '0';
+        elements.activeDutyCrew.value = '2';
+        renderDutyBreak();
+        renderExtension();
+        renderDelay();
+        renderSectorPlan(null);
+        renderActiveDutyType();
+    }
+
+    /**
+     * Register saved rule packs and activate the preferred one
+     * 
+     * @returns {Object} { skipped: [{ name, error }] } saved packs that failed validation
+     */
+    function loadRulePacks() {
+        const skipped = [];
+        StorageManager.getRulePacks().forEach(pack => {
+            const result = RulePacks.register(pack);
+            if (!result.success) {
+                skipped.push({ name: (pack && (pack.name || pack.id)) || 'Unnamed pack', error: result.error });
+            }
+        });
+        
+        if (!RulePacks.setActive(state.preferences.activeRulePack)) {
+            RulePacks.setActive(RulePacks.DEFAULT_PACK_ID);
+        }
+        
+        renderRulePackOptions();
+        renderReference();
+        renderSplitDutyOptions();
+        renderCrewOptions();
+        renderStandbyOptions();
+        
+        return { skipped: skipped };
+    }
+
+    /**
+     * Populate the rule pack selector
+     */
+    function renderRulePackOptions() {
+        const activeId = RulePacks.getActiveId();
+        
+        elements.rulePackSelect.innerHTML = RulePacks.list().map(pack => `
+            <option value="${escapeHtml(pack.id)}" ${pack.id === activeId ? 'selected' : ''}>
+                ${escapeHtml(pack.name)} (v${escapeHtml(String(pack.version))})
+            </option>
+        `).join('');
+        
+        elements.btnRemoveRulePack.disabled = RulePacks.getActive().builtIn === true;
+    }
+
+    /**
+     * Handle rule pack selection
+     */
+    function handleRulePackChange() {
+        const id = elements.rulePackSelect.value;
+        
+        if (!RulePacks.setActive(id)) {
+            showToast('Unknown rule pack', 'error');
+            return;
+        }
+        
+        StorageManager.savePreferences({ activeRulePack: id });
+        state.preferences.activeRulePack = id;
+        
+        applyRulePack();
+        showToast('Rule pack changed to ' + RulePacks.getActive().name, 'success');
+    }
+
+    /**
+     * Handle rule pack JSON file selection
+     */
+    function handleRulePackFile() {
+        const file = elements.rulePackFile.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            const result = RulePacks.loadFromJSON(reader.result);
+            elements.rulePackFile.value = '';
+            
+            if (!result.success) {
+                showToast('Rule pack rejected: ' + result.error, 'error');
+                return;
+            }
+            
+            StorageManager.saveRulePacks(RulePacks.getCustomPacks());
+            RulePacks.setActive(result.pack.id);
+            StorageManager.savePreferences({ activeRulePack: result.pack.id });
+            state.preferences.activeRulePack = result.pack.id;
+            
+            applyRulePack();
+            showToast('Rule pack loaded: ' + result.pack.name, 'success');
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Handle removal of a user-supplied rule pack
+     */
+    function handleRemoveRulePack() {
+        const pack = RulePacks.getActive();
+        if (pack.builtIn) return;
+        
+        if (!confirm(`Remove rule pack "${pack.name}"?`)) {
+            return;
+        }
+        
+        RulePacks.unregister(pack.id);
+        StorageManager.saveRulePacks(RulePacks.getCustomPacks());
+        StorageManager.savePreferences({ activeRulePack: RulePacks.getActiveId() });
+        state.preferences.activeRulePack = RulePacks.getActiveId();
+        
+        applyRulePack();
+        showToast('Rule pack removed', 'success');
+    }
+
+    /**
+     * Refresh everything that depends on the active rule pack
+     */
+    function applyRulePack() {
+        renderRulePackOptions();
+        renderReference();
+        renderSplitDutyOptions();
+        renderCrewOptions();
+        renderStandbyOptions();
+        renderActiveDutyType();
+        previewFDP();
+        
+        // Recalculate the active duty's max FDP under the new limits
+        if (state.currentDuty) {
+            handleSectorsChange();
+        }
+        
+        updateComplianceDashboard();
+        renderRoster();
+    }
+
+    /**
+     * Render the quick reference tables from the active rule pack
+     */
+    function renderReference() {
+        const table = FDPCalculator.getTable();
+        const timeRanges = FDPCalculator.getTimeRanges();
+        const sectorRanges = Object.keys(table[timeRanges[0]]);
+        
+        elements.fdpReferenceHead.innerHTML = `
+            <tr>
+                <th>Report Time</th>
+                ${sectorRanges.map(range => `<th>${escapeHtml(range)} Sectors</th>`).join('')}
+            </tr>
+        `;
+        
+        elements.fdpReferenceBody.innerHTML = timeRanges.map(range => `
+            <tr>
+                <td>${escapeHtml(range)}</td>
+                ${sectorRanges.map(sectors => `<td>${ComplianceChecker.minutesToTime(table[range][sectors])}</td>`).join('')}
+            </tr>
+        `).join('');
+        
+        const limits = ComplianceChecker.getLimits();
+        const rest = RestCalculator.getConstants();
+        const items = [
+            ['Max Flight Time (Single Pilot)', limits.FLIGHT_TIME_SINGLE_DUTY],
+            ['Max Flight Time (Augmented)', limits.FLIGHT_TIME_AUGMENTED],
+            ['Min Rest (Standard)', rest.STANDARD_MIN],
+            [`Min Rest (After ${formatHours(rest.EXTENDED_DUTY_THRESHOLD)}h+ FDP)`, rest.EXTENDED_DUTY_MIN],
+            ...ComplianceChecker.getRollingLimits().map(rollingLimit => [
+                `Max ${rollingLimit.metric === 'duty' ? 'Duty' : 'Flight Time'} in ${rollingLimit.days} Days`,
+                RulePacks.getActive().limits[rollingLimit.id]
+            ])
+        ];
+        
+        elements.limitsList.innerHTML = items.map(([label, minutes]) => `
+            <div class="limit-item">
+                <span class="limit-label">${label}</span>
+                <span class="limit-value">${formatHours(minutes)} hours</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Limit types with their own alert thresholds
+     */
+    const THRESHOLD_TYPES = [
+        ['fdp', 'Flight Duty Period'],
+        ['dutyFlightTime', 'Flight Time per Duty'],
+        ['duty', 'Rolling Duty Totals'],
+        ['flightTime', 'Rolling Flight Time Totals']
+    ];
+
+    /**
+     * Show the caution and danger thresholds of each limit type
+     */
+    function renderThresholds() {
+        elements.thresholdList.innerHTML = THRESHOLD_TYPES.map(([type, label]) => {
+            const thresholds = ComplianceChecker.getThresholds(type);
+            const input = (level, title) => `
+                <input type="number" class="duty-sectors-select threshold-input" data-type="${type}" data-level="${level}"
+                    min="1" max="100" step="1" value="${Math.round(thresholds[level] * 100)}" title="${title}">`;
+            return `
+                <div class="limit-item">
+                    <span class="limit-label">${label}</span>
+                    <span class="limit-value">
+                        ${input('warning', 'Caution at this share of the limit')}% /
+                        ${input('danger', 'Danger at this share of the limit')}%
+                    </span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Save a changed alert threshold and restyle every card with it
+     */
+    function handleThresholdChange(e) {
+        const type = e.target.dataset.type;
+        if (!type) return;
+        
+        const value = level => parseInt(
+            elements.thresholdList.querySelector(`[data-type="${type}"][data-level="${level}"]`).value, 10);
+        const warning = value('warning');
+        const danger = value('danger');
+        
+        if (!(warning > 0 && warning < danger && danger <= 100)) {
+            showToast('Caution must be below danger, and both between 1% and 100%', 'warning');
+            renderThresholds();
+            return;
+        }
+        
+        StorageManager.savePreferences({
+            thresholds: { ...state.preferences.thresholds, [type]: { warning: warning, danger: danger } }
+        });
+        state.preferences = StorageManager.getPreferences();
+        ComplianceChecker.setThresholds(state.preferences);
+        
+        updateComplianceDashboard();
+        if (state.currentDuty) {
+            updateDutyDisplay();
+        }
+    }
+
+    /**
+     * Format minutes as a decimal hour count (e.g. 12, 12.5)
+     */
+    function formatHours(minutes) {
+        return String(Math.round((minutes / 60) * 10) / 10);
+    }
+
+    /**
+     * Escape text for insertion into HTML
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 
     /**
@@ -0,0 +1,235 @@
+/**
+ * Audit Log - Compliance Status Changes and Exceedances
+ * Based on Transport Canada CAR 700 Subpart 7 (2021 Amendments)
+ *
+ * This module keeps a lasting record of the compliance checks:
+ * - An entry each time a check changes status (good, warning, danger,
+ *   exceeded), with the values, the rule pack and the duties involved
+ * - An acknowledgement or explanation the pilot attaches to an entry
+ * - A CSV export for the operator's fatigue management program
+ *
+ * A check's status is compared with its latest entry; a check with no entry
+ * is taken to have been good. A check that is no longer made (the FDP of a
+ * duty that has ended) is logged as good again, marked ended.
+ *
+ * Duties are copied into the entry as they were, so the log still reads
+ * the same after a record is edited or deleted.
+ */
+
+const AuditLog = (function() {
+    'use strict';
+
+    const GOOD = 'good';
+
+    /**
+     * Labels of the check statuses
+     */
+    const STATUS_LABELS = {
+        good: 'Good',
+        warning: 'Warning',
+        danger: 'Danger',
+        exceeded: 'Exceeded'
+    };
+
+    /**
+     * Columns of the CSV export, in order
+     */
+    const CSV_COLUMNS = [
+        'Time (UTC)', 'Limit', 'From', 'To', 'Value', 'Limit Value', 'Rule Pack',
+        'Duties', 'Acknowledged (UTC)', 'Explanation'
+    ];
+
+    /**
+     * Generate unique ID
+     */
+    function generateId() {
+        return 'audit_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * A record as it stood when logged
+     */
+    function snapshotRecord(record) {
+        return {
+            id: record.id,
+            date: record.date,
+            reportDateTime: record.reportDateTime || null,
+            releaseDateTime: record.releaseDateTime || null,
+            dutyMinutes: record.dutyMinutes || 0,
+            flightMinutes: record.flightMinutes || 0,
+            inProgress: record.inProgress || false
+        };
+    }
+
+    /**
+     * Log the checks whose status changed since their latest entry
+     *
+     * @param {Object} checks - Result of ComplianceChecker.runAllChecks
+     * @param {Array} dutyRecords - The records checked, including any duty in progress
+     * @param {Object} options - { at } time of the checks (default: now),
+     *                           { rulePack } name of the rule pack checked against
+     * @returns {Object} { success, entries: new entries, error }
+     */
+    function recordChanges(checks, dutyRecords = [], options = {}) {
+        const log = StorageManager.getAuditLog();
+        const timestamp = new Date(options.at || Date.now()).toISOString();
+        const byId = new Map(dutyRecords.map(record => [record.id, record]));
+
+        const latest = new Map();
+        log.forEach(entry => {
+            if (!latest.has(entry.checkId)) latest.set(entry.checkId, entry);
+        });
+
+        const entries = [];
+        checks.states.forEach(state => {
+            const previous = latest.get(state.id);
+            const previousStatus = previous ? previous.status : GOOD;
+            if (state.status === previousStatus) return;
+
+            entries.push({
+                id: generateId(),
+                timestamp: timestamp,
+                checkId: state.id,
+                name: state.name,
+                status: state.status,
+                previousStatus: previousStatus,
+                compliant: state.compliant,
+                current: state.current,
+                currentFormatted: state.currentFormatted,
+                limit: state.limit,
+                limitFormatted: state.limitFormatted,
+                rulePack: options.rulePack || null,
+                records: state.recordIds
+                    .filter(id => byId.has(id))
+                    .map(id => snapshotRecord(byId.get(id)))
+                    .sort((a, b) => String(a.reportDateTime).localeCompare(String(b.reportDateTime))),
+                ended: false,
+                acknowledgement: null
+            });
+        });
+
+        // Checks no longer made are good again
+        const checkedIds = new Set(checks.states.map(state => state.id));
+        latest.forEach(previous => {
+            if (checkedIds.has(previous.checkId) || previous.status === GOOD) return;
+
+            entries.push({
+                ...previous,
+                id: generateId(),
+                timestamp: timestamp,
+                status: GOOD,
+                previousStatus: previous.status,
+                compliant: true,
+                rulePack: options.rulePack || previous.rulePack,
+                ended: true,
+                acknowledgement: null
+            });
+        });
+
+        if (entries.length === 0) {
+            return { success: true, entries: entries, error: null };
+        }
+
+        const success = StorageManager.saveAuditLog(entries.concat(log));
+        return {
+            success: success,
+            entries: success ? entries : [],
+            error: success ? null : 'Failed to save audit log'
+        };
+    }
+
+    /**
+     * Attach an acknowledgement or explanation to an entry
+     * Acknowledging again replaces the earlier note.
+     *
+     * @param {string} id - Entry id
+     * @param {string} note - The pilot's explanation
+     * @returns {Object} { success, entry, error }
+     */
+    function acknowledge(id, note) {
+        const text = (note || '').trim();
+        if (!text) {
+            return { success: false, entry: null, error: 'Enter an explanation' };
+        }
+
+        const log = StorageManager.getAuditLog();
+        const index = log.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            return { success: false, entry: null, error: 'Entry not found' };
+        }
+
+        log[index] = {
+            ...log[index],
+            acknowledgement: { note: text, at: new Date().toISOString() }
+        };
+
+        const success = StorageManager.saveAuditLog(log);
+        return {
+            success: success,
+            entry: success ? log[index] : null,
+            error: success ? null : 'Failed to save audit log'
+        };
+    }
+
+    /**
+     * Whether an entry needs the pilot's acknowledgement: a limit exceeded
+     * and not yet explained
+     */
+    function needsAcknowledgement(entry) {
+        return entry.status === 'exceeded' && !entry.acknowledgement;
+    }
+
+    /**
+     * Quote a CSV field when it holds a comma, quote or line break
+     */
+    function csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Format audit log entries as CSV, one line per entry, oldest first
+     * Duties are listed as date and report to release (UTC), separated by
+     * semicolons.
+     *
+     * @param {Array} entries - Audit log entries (any order)
+     * @returns {string} CSV text with a header line
+     */
+    function toCSV(entries) {
+        const lines = entries
+            .slice()
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+            .map(entry => [
+                entry.timestamp,
+                entry.name,
+                STATUS_LABELS[entry.previousStatus] || entry.previousStatus,
+                (STATUS_LABELS[entry.status] || entry.status) + (entry.ended ? ' (ended)' : ''),
+                entry.currentFormatted,
+                entry.limitFormatted,
+                entry.rulePack,
+                entry.records.map(record =>
+                    `${record.date} ${record.reportDateTime || ''}-${record.releaseDateTime || ''}` +
+                    (record.inProgress ? ' (in progress)' : '')
+                ).join('; '),
+                entry.acknowledgement ? entry.acknowledgement.at : '',
+                entry.acknowledgement ? entry.acknowledgement.note : ''
+            ].map(csvField).join(','));
+
+        return [CSV_COLUMNS.map(csvField).join(',')].concat(lines).join('\r\n') + '\r\n';
+    }
+
+    // Public API
+    return {
+        recordChanges,
+        acknowledge,
+        needsAcknowledgement,
+        toCSV,
+        STATUS_LABELS,
+        CSV_COLUMNS
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditLog;
+}
@@ -3,44 +3,110 @@
  * Based on Transport Canada CAR 700 Subpart 7 (2021 Amendments)
  * 
  * This module tracks and validates:
- * - Rolling 7-day duty totals
- * - Rolling 28-day duty totals
- * - Rolling 28-day flight time totals
- * - Rolling 365-day (annual) flight time
+ * - Rolling duty and flight time totals (7/28/365-day duty and 28/90/365-day
+ *   flight time in CAR 700), listed in the rule pack's rollingLimits
+ * - Weekly 36-hour time off and days off in 28 days
+ * - Rest between consecutive logged duties
+ *
+ * Rolling windows are exact: 7 days is the 168 hours before the instant
+ * checked, 28 days the 672 hours. A duty straddling the start of a window
+ * counts only for the part inside it.
+ *
+ * Standby and reserve records count toward duty totals only in part,
+ * by the dutyCredit of their type in the active rule pack. Positioning
+ * is duty, and counts as flight time only if the rule pack says so.
+ *
+ * Limits are read from the active rule pack (RulePacks).
  */
 
 const ComplianceChecker = (function() {
     'use strict';
 
     /**
-     * Regulatory limits based on CAR 700.16/700.19
-     * All values in minutes unless otherwise noted
+     * Warning thresholds (percentage of limit), from the user's preferences
+     * warningThreshold/dangerThreshold apply to every limit; thresholds can
+     * override them by limit type ('fdp', 'dutyFlightTime', 'duty',
+     * 'flightTime') or by rolling limit id, e.g. { fdp: { warning: 75, danger: 90 } }.
      */
-    const LIMITS = {
-        // Flight Duty Period limits
-        FDP_SINGLE_DAY_MAX: 840,        // 14 hours max FDP
-        FDP_SINGLE_DAY_MIN: 540,        // 9 hours min (for night ops)
-        
-        // Flight Time limits
-        FLIGHT_TIME_SINGLE_DUTY: 480,   // 8 hours (single pilot)
-        FLIGHT_TIME_AUGMENTED: 780,     // 13 hours (augmented crew)
-        FLIGHT_TIME_28_DAY: 6720,       // 112 hours
-        FLIGHT_TIME_365_DAY: 60000,     // 1000 hours
-        
-        // Duty Time limits
-        DUTY_7_DAY: 3600,               // 60 hours
-        DUTY_28_DAY: 11400,             // 190 hours
-        DUTY_365_DAY: 96000,            // 1600 hours (annual limit)
-        
-        // Rest requirements
-        REST_WEEKLY: 2160,              // 36 consecutive hours in 7 days
-        REST_MONTHLY: 5760,             // 96 hours in any 28 consecutive days
-        
-        // Warning thresholds (percentage of limit)
-        WARNING_THRESHOLD: 0.85,        // 85% = warning
-        DANGER_THRESHOLD: 0.95          // 95% = danger
+    let thresholdPreferences = {
+        warningThreshold: 85,
+        dangerThreshold: 95,
+        thresholds: {}
     };
 
+    /**
+     * Use the thresholds in the user's preferences
+     *
+     * @param {Object} preferences - { warningThreshold, dangerThreshold, thresholds }
+     */
+    function setThresholds(preferences) {
+        thresholdPreferences = {
+            warningThreshold: preferences.warningThreshold,
+            dangerThreshold: preferences.dangerThreshold,
+            thresholds: { ...(preferences.thresholds || {}) }
+        };
+    }
+
+    /**
+     * Warning and danger thresholds (fractions of the limit) for a limit
+     *
+     * @param {string} type - Limit type: 'fdp', 'dutyFlightTime', 'duty' or 'flightTime'
+     * @param {string} id - Rolling limit id (optional)
+     * @returns {Object} { warning, danger }
+     */
+    function getThresholds(type, id) {
+        const byLimit = thresholdPreferences.thresholds;
+        const merged = {
+            warning: thresholdPreferences.warningThreshold,
+            danger: thresholdPreferences.dangerThreshold,
+            ...(byLimit[type] || {}),
+            ...((id && byLimit[id]) || {})
+        };
+
+        return { warning: merged.warning / 100, danger: merged.danger / 100 };
+    }
+
+    const MINUTE_MS = 60000;
+    const DAY_MS = 24 * 60 * MINUTE_MS;
+
+    /**
+     * Minutes between the times a projected duty is checked for crossing a limit
+     */
+    const CROSSING_STEP = 15;
+
+    /**
+     * Regulatory limits based on CAR 700.16/700.19, from the active rule pack
+     * All values in minutes unless otherwise noted
+     */
+    function getLimits() {
+        const limits = RulePacks.getActive().limits;
+
+        return {
+            // Flight Duty Period limits
+            FDP_SINGLE_DAY_MAX: limits.fdpMax,
+            FDP_SINGLE_DAY_MIN: limits.fdpMin,
+
+            // Flight Time limits
+            FLIGHT_TIME_SINGLE_DUTY: limits.flightTimeSingleDuty,
+            FLIGHT_TIME_AUGMENTED: limits.flightTimeAugmented,
+            FLIGHT_TIME_28_DAY: limits.flightTime28Day,
+            FLIGHT_TIME_90_DAY: limits.flightTime90Day,
+            FLIGHT_TIME_365_DAY: limits.flightTime365Day,
+
+            // Duty Time limits
+            DUTY_7_DAY: limits.duty7Day,
+            DUTY_28_DAY: limits.duty28Day,
+            DUTY_365_DAY: limits.duty365Day,
+
+            // Rest requirements
+            REST_WEEKLY: limits.restWeekly,
+            REST_MONTHLY: limits.restMonthly,
+
+            WARNING_THRESHOLD: getThresholds().warning,
+            DANGER_THRESHOLD: getThresholds().danger
+        };
+    }
+
     /**
      * Status types for compliance indicators
      */
@@ -53,16 +119,36 @@ const ComplianceChecker = (function() {
 
     /**
      * Calculate status based on current value and limit
+     *
+     * @param {number} current - Current value
+     * @param {number} limit - Limit
+     * @param {string} type - Limit type for the thresholds (see getThresholds)
+     * @param {string} id - Rolling limit id (optional)
      */
-    function getStatus(current, limit) {
+    function getStatus(current, limit, type, id) {
+        if (!(limit > 0)) {
+            return current > 0 ? STATUS.EXCEEDED : STATUS.GOOD;
+        }
+
         const ratio = current / limit;
+        const thresholds = getThresholds(type, id);
         
         if (ratio >= 1) return STATUS.EXCEEDED;
-        if (ratio >= LIMITS.DANGER_THRESHOLD) return STATUS.DANGER;
-        if (ratio >= LIMITS.WARNING_THRESHOLD) return STATUS.WARNING;
+        if (ratio >= thresholds.danger) return STATUS.DANGER;
+        if (ratio >= thresholds.warning) return STATUS.WARNING;
         return STATUS.GOOD;
     }
 
+    /**
+     * Percentage of a limit used, capped at 100 (a zero limit counts as full once used)
+     */
+    function getPercentage(current, limit) {
+        if (!(limit > 0)) {
+            return current > 0 ? 100 : 0;
+        }
+        return Math.min(100, (current / limit) * 100);
+    }
+
     /**
      * Format minutes to HH:MM string
      */
@@ -91,148 +177,201 @@ const ComplianceChecker = (function() {
     }
 
     /**
-     * Filter duty records to a specific date range
+     * Rolling window of a number of days (exactly days x 24 hours) ending at `at`
+     *
+     * @returns {Object} { start, end } in milliseconds
      */
-    function filterByDateRange(records, days) {
-        const now = new Date();
-        const cutoffDate = new Date(now);
-        cutoffDate.setDate(cutoffDate.getDate() - days);
-        cutoffDate.setHours(0, 0, 0, 0);
+    function getWindow(days, at) {
+        const end = at ? new Date(at).getTime() : Date.now();
+        return { start: end - days * DAY_MS, end: end };
+    }
+
+    /**
+     * Filter duty records to a rolling window
+     * A duty is included when any part of it falls inside the range.
+     * The range ends at `at` (default: now).
+     */
+    function filterByDateRange(records, days, at) {
+        const range = getWindow(days, at);
         
         return records.filter(record => {
-            const recordDate = new Date(record.date);
-            return recordDate >= cutoffDate && recordDate <= now;
+            const report = new Date(record.reportDateTime || record.date).getTime();
+            const release = new Date(record.releaseDateTime || record.reportDateTime || record.date).getTime();
+            return release > range.start && report <= range.end;
         });
     }
 
     /**
-     * Calculate total duty time from records
+     * Share of a record (0 to 1) that falls inside a window
+     * A duty straddling the window's start or end counts only for the part
+     * inside it; its flight time is taken as spread evenly over the duty.
+     */
+    function getWindowShare(record, range) {
+        if (!range) return 1;
+
+        const report = new Date(record.reportDateTime || record.date).getTime();
+        const release = new Date(record.releaseDateTime || record.reportDateTime || record.date).getTime();
+        if (!(release > report)) {
+            return report > range.start && report <= range.end ? 1 : 0;
+        }
+
+        const overlap = Math.min(release, range.end) - Math.max(report, range.start);
+        return Math.max(0, overlap) / (release - report);
+    }
+
+    /**
+     * Duty minutes a record counts for toward cumulative duty totals
+     * Flying duties count in full; standby and reserve by their type's dutyCredit.
      */
-    function sumDutyTime(records) {
-        return records.reduce((total, record) => {
-            return total + (record.dutyMinutes || 0);
-        }, 0);
+    function getCreditedDutyMinutes(record) {
+        const dutyType = record.dutyType || 'flight';
+        if (dutyType === 'flight') {
+            return record.dutyMinutes || 0;
+        }
+
+        const standby = RulePacks.getActive().standby;
+        const standbyType = standby && standby.types[dutyType];
+        const credit = standbyType ? standbyType.dutyCredit : 1;
+        return Math.round((record.dutyMinutes || 0) * credit);
     }
 
     /**
-     * Calculate total flight time from records
+     * Calculate total duty time from records, counting only the part of each
+     * inside the window when one is given
      */
-    function sumFlightTime(records) {
-        return records.reduce((total, record) => {
-            return total + (record.flightMinutes || 0);
-        }, 0);
+    function sumDutyTime(records, range) {
+        return Math.round(records.reduce((total, record) => {
+            return total + getCreditedDutyMinutes(record) * getWindowShare(record, range);
+        }, 0));
     }
 
     /**
-     * Check 7-day duty compliance
-     * 
+     * Flight minutes a record counts for, including positioning when the
+     * active rule pack counts it as flight time
+     */
+    function getCreditedFlightMinutes(record) {
+        const positioning = RulePacks.getActive().positioning;
+        const countsPositioning = !!positioning && positioning.countsAsFlightTime;
+        return (record.flightMinutes || 0) + (countsPositioning ? (record.positioningMinutes || 0) : 0);
+    }
+
+    /**
+     * Calculate total flight time from records, counting only the part of each
+     * inside the window when one is given
+     */
+    function sumFlightTime(records, range) {
+        return Math.round(records.reduce((total, record) => {
+            return total + getCreditedFlightMinutes(record) * getWindowShare(record, range);
+        }, 0));
+    }
+
+    /**
+     * Rolling limits of the active rule pack (every pack lists them)
+     *
+     * @returns {Array} [{ id, name, metric, days }]
+     */
+    function getRollingLimits() {
+        return RulePacks.getActive().rollingLimits;
+    }
+
+    /**
+     * Credited duty or flight time inside a rolling window, counted the way
+     * the rolling limits count it
+     *
      * @param {Array} dutyRecords - Array of duty record objects
-     * @returns {Object} Compliance status for 7-day duty
+     * @param {string} metric - 'duty' or 'flightTime'
+     * @param {number} days - Window length in days
+     * @param {string|Date|number} at - End of the window (default: now)
+     * @returns {number} Minutes
+     */
+    function getRollingTotal(dutyRecords, metric, days, at) {
+        const records = filterByDateRange(dutyRecords, days, at);
+        const range = getWindow(days, at);
+        return metric === 'flightTime' ? sumFlightTime(records, range) : sumDutyTime(records, range);
+    }
+
+    /**
+     * Check a rolling duty or flight time limit
+     *
+     * @param {Array} dutyRecords - Array of duty record objects
+     * @param {Object} rollingLimit - { id, name, metric: 'duty'|'flightTime', days };
+     *                                the limit is limits[id] of the active pack
+     * @param {Object} options - { at } instant to check at (default: now)
+     * @returns {Object} Compliance status for the window
      */
-    function check7DayDuty(dutyRecords) {
-        const records = filterByDateRange(dutyRecords, 7);
-        const totalMinutes = sumDutyTime(records);
-        const limit = LIMITS.DUTY_7_DAY;
+    function checkRollingLimit(dutyRecords, rollingLimit, options = {}) {
+        const records = filterByDateRange(dutyRecords, rollingLimit.days, options.at);
+        const totalMinutes = getRollingTotal(dutyRecords, rollingLimit.metric, rollingLimit.days, options.at);
+        const limit = RulePacks.getActive().limits[rollingLimit.id];
         const remaining = limit - totalMinutes;
-        const status = getStatus(totalMinutes, limit);
+        const status = getStatus(totalMinutes, limit, rollingLimit.metric, rollingLimit.id);
         
         return {
+            id: rollingLimit.id,
+            name: rollingLimit.name,
+            metric: rollingLimit.metric,
             current: totalMinutes,
             currentFormatted: minutesToTime(totalMinutes),
             limit: limit,
             limitFormatted: minutesToTime(limit),
             remaining: remaining,
             remainingFormatted: formatDuration(remaining),
-            percentage: Math.min(100, (totalMinutes / limit) * 100),
+            percentage: getPercentage(totalMinutes, limit),
             status: status,
             compliant: totalMinutes <= limit,
-            periodDays: 7,
-            recordCount: records.length
+            periodDays: rollingLimit.days,
+            recordCount: records.length,
+            recordIds: records.map(record => record.id),
+            rollingLimit: true
         };
     }
 
+    /**
+     * Check 7-day duty compliance
+     * 
+     * @param {Array} dutyRecords - Array of duty record objects
+     * @param {Object} options - { at } instant to check at (default: now)
+     * @returns {Object} Compliance status for 7-day duty
+     */
+    function check7DayDuty(dutyRecords, options = {}) {
+        return checkRollingLimit(dutyRecords,
+            { id: 'duty7Day', name: '7-Day Duty', metric: 'duty', days: 7 }, options);
+    }
+
     /**
      * Check 28-day duty compliance
      * 
      * @param {Array} dutyRecords - Array of duty record objects
+     * @param {Object} options - { at } instant to check at (default: now)
      * @returns {Object} Compliance status for 28-day duty
      */
-    function check28DayDuty(dutyRecords) {
-        const records = filterByDateRange(dutyRecords, 28);
-        const totalMinutes = sumDutyTime(records);
-        const limit = LIMITS.DUTY_28_DAY;
-        const remaining = limit - totalMinutes;
-        const status = getStatus(totalMinutes, limit);
-        
-        return {
-            current: totalMinutes,
-            currentFormatted: minutesToTime(totalMinutes),
-            limit: limit,
-            limitFormatted: minutesToTime(limit),
-            remaining: remaining,
-            remainingFormatted: formatDuration(remaining),
-            percentage: Math.min(100, (totalMinutes / limit) * 100),
-            status: status,
-            compliant: totalMinutes <= limit,
-            periodDays: 28,
-            recordCount: records.length
-        };
+    function check28DayDuty(dutyRecords, options = {}) {
+        return checkRollingLimit(dutyRecords,
+            { id: 'duty28Day', name: '28-Day Duty', metric: 'duty', days: 28 }, options);
     }
 
     /**
      * Check 28-day flight time compliance
      * 
      * @param {Array} dutyRecords - Array of duty record objects
+     * @param {Object} options - { at } instant to check at (default: now)
      * @returns {Object} Compliance status for 28-day flight time
      */
-    function check28DayFlightTime(dutyRecords) {
-        const records = filterByDateRange(dutyRecords, 28);
-        const totalMinutes = sumFlightTime(records);
-        const limit = LIMITS.FLIGHT_TIME_28_DAY;
-        const remaining = limit - totalMinutes;
-        const status = getStatus(totalMinutes, limit);
-        
-        return {
-            current: totalMinutes,
-            currentFormatted: minutesToTime(totalMinutes),
-            limit: limit,
-            limitFormatted: minutesToTime(limit),
-            remaining: remaining,
-            remainingFormatted: formatDuration(remaining),
-            percentage: Math.min(100, (totalMinutes / limit) * 100),
-            status: status,
-            compliant: totalMinutes <= limit,
-            periodDays: 28,
-            recordCount: records.length
-        };
+    function check28DayFlightTime(dutyRecords, options = {}) {
+        return checkRollingLimit(dutyRecords,
+            { id: 'flightTime28Day', name: '28-Day Flight Time', metric: 'flightTime', days: 28 }, options);
     }
 
     /**
      * Check 365-day (annual) flight time compliance
      * 
      * @param {Array} dutyRecords - Array of duty record objects
+     * @param {Object} options - { at } instant to check at (default: now)
      * @returns {Object} Compliance status for annual flight time
      */
-    function check365DayFlightTime(dutyRecords) {
-        const records = filterByDateRange(dutyRecords, 365);
-        const totalMinutes = sumFlightTime(records);
-        const limit = LIMITS.FLIGHT_TIME_365_DAY;
-        const remaining = limit - totalMinutes;
-        const status = getStatus(totalMinutes, limit);
-        
-        return {
-            current: totalMinutes,
-            currentFormatted: minutesToTime(totalMinutes),
-            limit: limit,
-            limitFormatted: minutesToTime(limit),
-            remaining: remaining,
-            remainingFormatted: formatDuration(remaining),
-            percentage: Math.min(100, (totalMinutes / limit) * 100),
-            status: status,
-            compliant: totalMinutes <= limit,
-            periodDays: 365,
-            recordCount: records.length
-        };
+    function check365DayFlightTime(dutyRecords, options = {}) {
+        return checkRollingLimit(dutyRecords,
+            { id: 'flightTime365Day', name: 'Annual Flight Time', metric: 'flightTime', days: 365 }, options);
     }
 
     /**
@@ -244,7 +383,7 @@ const ComplianceChecker = (function() {
      */
     function checkCurrentFDP(currentFDPMinutes, maxFDPMinutes) {
         const remaining = maxFDPMinutes - currentFDPMinutes;
-        const status = getStatus(currentFDPMinutes, maxFDPMinutes);
+        const status = getStatus(currentFDPMinutes, maxFDPMinutes, 'fdp');
         
         return {
             current: currentFDPMinutes,
@@ -253,7 +392,7 @@ const ComplianceChecker = (function() {
             limitFormatted: minutesToTime(maxFDPMinutes),
             remaining: remaining,
             remainingFormatted: formatDuration(remaining),
-            percentage: Math.min(100, (currentFDPMinutes / maxFDPMinutes) * 100),
+            percentage: getPercentage(currentFDPMinutes, maxFDPMinutes),
             status: status,
             compliant: currentFDPMinutes <= maxFDPMinutes
         };
@@ -267,9 +406,10 @@ const ComplianceChecker = (function() {
      * @returns {Object} Current flight time compliance status
      */
     function checkCurrentFlightTime(currentFlightMinutes, isAugmented = false) {
+        const LIMITS = getLimits();
         const limit = isAugmented ? LIMITS.FLIGHT_TIME_AUGMENTED : LIMITS.FLIGHT_TIME_SINGLE_DUTY;
         const remaining = limit - currentFlightMinutes;
-        const status = getStatus(currentFlightMinutes, limit);
+        const status = getStatus(currentFlightMinutes, limit, 'dutyFlightTime');
         
         return {
             current: currentFlightMinutes,
@@ -278,57 +418,495 @@ const ComplianceChecker = (function() {
             limitFormatted: minutesToTime(limit),
             remaining: remaining,
             remainingFormatted: formatDuration(remaining),
-            percentage: Math.min(100, (currentFlightMinutes / limit) * 100),
+            percentage: getPercentage(currentFlightMinutes, limit),
             status: status,
             compliant: currentFlightMinutes <= limit,
             crewType: isAugmented ? 'augmented' : 'single'
         };
     }
 
+    /**
+     * Whether a duty was flown by an augmented crew (3 or more pilots)
+     */
+    function isAugmentedCrew(record) {
+        return (parseInt(record.crewPilots, 10) || 2) >= 3;
+    }
+
+    /**
+     * Check flight time of each logged duty against its single-duty limit
+     * Augmented crews are held to the augmented limit instead.
+     * 
+     * @param {Array} dutyRecords - Array of duty record objects
+     * @param {Object} options - { at } instant to check at (default: now)
+     * @returns {Object} Check for the duty closest to (or furthest over) its limit
+     */
+    function checkLoggedFlightTime(dutyRecords, options = {}) {
+        const recentRecords = filterByDateRange(dutyRecords, 28, options.at);
+        let worst = null;
+        let exceededCount = 0;
+
+        recentRecords.forEach(record => {
+            const check = checkCurrentFlightTime(getCreditedFlightMinutes(record), isAugmentedCrew(record));
+            check.recordId = record.id;
+            check.date = record.date;
+
+            if (!check.compliant) exceededCount++;
+            if (!worst || check.percentage > worst.percentage ||
+                (check.percentage === worst.percentage && check.current > worst.current)) {
+                worst = check;
+            }
+        });
+
+        const result = worst || checkCurrentFlightTime(0, false);
+        result.recordIds = worst ? [worst.recordId] : [];
+        result.perDuty = true;
+        result.exceededCount = exceededCount;
+        return result;
+    }
+
+    /**
+     * Rest between each pair of adjacent logged duties against the minimum
+     * RestCalculator requires after the earlier one
+     *
+     * Reserve (a standby type with no duty credit) is not duty and is left out;
+     * a standby and the duty it was called out to are one period, not a rest.
+     *
+     * @param {Array} dutyRecords - Array of duty record objects (any order)
+     * @returns {Array} Rest periods, oldest first: { recordId, precedingId,
+     *   restMinutes, required, deficit, compliant, zonesCrossed, direction, ... }
+     */
+    function getRestPeriods(dutyRecords) {
+        const standby = RulePacks.getActive().standby;
+        const isDuty = (record) => {
+            const standbyType = standby && standby.types[record.dutyType];
+            return !standbyType || standbyType.dutyCredit > 0;
+        };
+
+        const records = dutyRecords
+            .filter(record => record.reportDateTime && record.releaseDateTime && isDuty(record))
+            .sort((a, b) => new Date(a.reportDateTime) - new Date(b.reportDateTime));
+
+        const periods = [];
+        for (let i = 1; i < records.length; i++) {
+            const preceding = records[i - 1];
+            const record = records[i];
+            if (record.precedingStandby && record.precedingStandby.recordId === preceding.id) continue;
+
+            const required = RestCalculator.calculateForRecord(preceding);
+            if (!required.success) continue;
+
+            const restMinutes = Math.floor(
+                (new Date(record.reportDateTime) - new Date(preceding.releaseDateTime)) / 60000
+            );
+            const deficit = Math.max(0, required.minRest - restMinutes);
+
+            periods.push({
+                recordId: record.id,
+                precedingId: preceding.id,
+                reportDateTime: record.reportDateTime,
+                restMinutes: restMinutes,
+                restFormatted: formatDuration(restMinutes),
+                required: required.minRest,
+                requiredFormatted: formatDuration(required.minRest),
+                deficit: deficit,
+                deficitFormatted: formatDuration(deficit),
+                compliant: deficit === 0,
+                zonesCrossed: required.zonesCrossed,
+                direction: required.direction
+            });
+        }
+
+        return periods;
+    }
+
+    /**
+     * Check rest between logged duties reported in the last 28 days
+     *
+     * @param {Array} dutyRecords - Array of duty record objects
+     * @param {Object} options - { at } instant to check at (default: now)
+     * @returns {Object} Check for the rest closest to (or furthest under) its minimum
+     */
+    function checkRestPeriods(dutyRecords, options = {}) {
+        const recentIds = new Set(filterByDateRange(dutyRecords, 28, options.at).map(record => record.id));
+        const periods = getRestPeriods(dutyRecords).filter(period => recentIds.has(period.recordId));
+        const shortPeriods = periods.filter(period => !period.compliant);
+
+        let worst = null;
+        periods.forEach(period => {
+            if (!worst || period.restMinutes - period.required < worst.restMinutes - worst.required) {
+                worst = period;
+            }
+        });
+
+        const remaining = worst ? worst.restMinutes - worst.required : null;
+        const recordIds = [];
+        (shortPeriods.length > 0 ? shortPeriods : (worst ? [worst] : [])).forEach(period => {
+            recordIds.push(period.precedingId, period.recordId);
+        });
+
+        return {
+            current: worst ? worst.restMinutes : null,
+            currentFormatted: worst ? minutesToTime(worst.restMinutes) : '--:--',
+            limit: worst ? worst.required : null,
+            limitFormatted: worst ? minutesToTime(worst.required) : '--:--',
+            remaining: remaining,
+            remainingFormatted: formatDuration(remaining),
+            percentage: worst && worst.restMinutes > 0 ? Math.min(100, (worst.required / worst.restMinutes) * 100) : 0,
+            status: shortPeriods.length > 0 ? STATUS.EXCEEDED : STATUS.GOOD,
+            compliant: shortPeriods.length === 0,
+            shortCount: shortPeriods.length,
+            periods: periods,
+            recordIds: recordIds,
+            restPeriods: true
+        };
+    }
+
+    /**
+     * Merged on-duty intervals of all records (every duty type) up to an instant
+     *
+     * @returns {Array} Sorted, non-overlapping [{ start, end }] in epoch ms
+     */
+    function getDutyIntervals(dutyRecords, atMs) {
+        const intervals = dutyRecords
+            .map(record => {
+                const start = new Date(record.reportDateTime || record.date).getTime();
+                const end = new Date(record.releaseDateTime || record.reportDateTime || record.date).getTime();
+                return { start, end: Math.min(end, atMs) };
+            })
+            .filter(interval => !isNaN(interval.start) && !isNaN(interval.end) && interval.start < atMs)
+            .sort((a, b) => a.start - b.start);
+
+        const merged = [];
+        intervals.forEach(interval => {
+            const last = merged[merged.length - 1];
+            if (last && interval.start <= last.end) {
+                last.end = Math.max(last.end, interval.end);
+            } else {
+                merged.push({ ...interval });
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Longest continuous off-duty period inside a window, in minutes
+     * Time before the first record counts as off duty.
+     */
+    function getLongestOffDuty(intervals, fromMs, toMs) {
+        let cursor = fromMs;
+        let longest = 0;
+
+        for (const interval of intervals) {
+            if (interval.end <= fromMs) continue;
+            if (interval.start >= toMs) break;
+            longest = Math.max(longest, interval.start - cursor);
+            cursor = Math.max(cursor, interval.end);
+        }
+        longest = Math.max(longest, toMs - cursor);
+
+        return Math.floor(longest / MINUTE_MS);
+    }
+
+    /**
+     * Check the weekly time off: a continuous off-duty period of REST_WEEKLY
+     * (36 hours in CAR 700) in every rolling 7 days
+     *
+     * @param {Array} dutyRecords - Array of duty record objects
+     * @param {Object} options - { at } instant to check at (defaults to now)
+     * @returns {Object} Check with the longest period off in the last 7 days,
+     *   violations in the last 28 days and the instant by which the next
+     *   qualifying period off must start (deadlineDateTime)
+     */
+    function checkWeeklyTimeOff(dutyRecords, options = {}) {
+        const atMs = options.at ? new Date(options.at).getTime() : Date.now();
+        const required = getLimits().REST_WEEKLY;
+        const weekMs = 7 * DAY_MS;
+        const intervals = getDutyIntervals(dutyRecords, atMs);
+        const longest = getLongestOffDuty(intervals, atMs - weekMs, atMs);
+
+        // The shortest time off in a rolling window is found just as a duty ends
+        let violationCount = 0;
+        intervals
+            .filter(interval => interval.end > atMs - 28 * DAY_MS)
+            .forEach(interval => {
+                if (getLongestOffDuty(intervals, interval.end - weekMs, interval.end) < required) {
+                    violationCount++;
+                }
+            });
+
+        // End of the most recent qualifying period off
+        const last = intervals[intervals.length - 1];
+        const offSinceMs = last && last.end < atMs ? last.end : null;
+        let qualifyingEndMs = intervals.length > 0 ? intervals[0].start : atMs;
+        if (!last || (offSinceMs !== null && atMs - offSinceMs >= required * MINUTE_MS)) {
+            qualifyingEndMs = atMs;
+        } else {
+            for (let i = intervals.length - 1; i > 0; i--) {
+                if (intervals[i].start - intervals[i - 1].end >= required * MINUTE_MS) {
+                    qualifyingEndMs = intervals[i].start;
+                    break;
+                }
+            }
+        }
+
+        const deadlineMs = qualifyingEndMs + weekMs - required * MINUTE_MS;
+        const remaining = Math.floor((deadlineMs - atMs) / MINUTE_MS);
+        const compliant = longest >= required;
+        // Off duty since before the deadline: the qualifying period is under way
+        const inProgress = compliant && offSinceMs !== null && offSinceMs <= deadlineMs &&
+            atMs - offSinceMs < required * MINUTE_MS;
+
+        let status = STATUS.GOOD;
+        if (!compliant) {
+            status = STATUS.EXCEEDED;
+        } else if (!inProgress && remaining <= 24 * 60) {
+            status = STATUS.DANGER;
+        } else if (!inProgress && remaining <= 48 * 60) {
+            status = STATUS.WARNING;
+        }
+
+        const windowMinutes = (weekMs / MINUTE_MS) - required;
+
+        return {
+            current: longest,
+            currentFormatted: minutesToTime(longest),
+            limit: required,
+            limitFormatted: minutesToTime(required),
+            remaining: remaining,
+            remainingFormatted: formatDuration(Math.max(0, remaining)),
+            percentage: Math.max(0, Math.min(100, ((windowMinutes - remaining) / windowMinutes) * 100)),
+            status: status,
+            compliant: compliant,
+            deadlineDateTime: new Date(deadlineMs).toISOString(),
+            offSinceDateTime: offSinceMs !== null ? new Date(offSinceMs).toISOString() : null,
+            inProgress: inProgress,
+            violationCount: violationCount,
+            recordIds: filterByDateRange(dutyRecords, 7, atMs).map(record => record.id),
+            timeOff: 'weekly',
+            periodDays: 7
+        };
+    }
+
+    /**
+     * Shift a YYYY-MM-DD date by a number of days
+     */
+    function addDays(dateStr, days) {
+        return new Date(Date.parse(dateStr + 'T00:00:00Z') + days * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Check the days off: REST_MONTHLY (4 days in CAR 700) as whole local days
+     * free of duty in every rolling 28 days, plus the consecutive duty day limit
+     *
+     * Days are calendar days at the given zone; today counts as off while no
+     * duty has touched it yet.
+     *
+     * @param {Array} dutyRecords - Array of duty record objects
+     * @param {Object} options - { at, zone } instant to check at and home base zone
+     * @returns {Object} Check with the days off in the last 28 days and the
+     *   date by which the next day off must be taken (deadlineDate)
+     */
+    function checkMonthlyDaysOff(dutyRecords, options = {}) {
+        const atMs = options.at ? new Date(options.at).getTime() : Date.now();
+        const zone = TimeZones.isValidZone(options.zone) ? options.zone : TimeZones.getBrowserZone();
+        const required = Math.ceil(getLimits().REST_MONTHLY / (24 * 60));
+        const intervals = getDutyIntervals(dutyRecords, atMs);
+        const today = TimeZones.getZonedParts(new Date(atMs), zone).date;
+
+        const days = [];
+        for (let i = 27; i >= 0; i--) {
+            const date = addDays(today, -i);
+            const startMs = TimeZones.fromZonedDateTime(date, '00:00', zone).getTime();
+            const endMs = Math.min(TimeZones.fromZonedDateTime(addDays(date, 1), '00:00', zone).getTime(), atMs);
+            const off = !intervals.some(interval => interval.start < endMs && interval.end > startMs);
+            days.push({ date, off });
+        }
+
+        const offDays = days.filter(day => day.off).map(day => day.date);
+        const compliant = offDays.length >= required;
+
+        // Once the required-th most recent day off leaves the window, another is needed
+        const deadlineDate = compliant ? addDays(offDays[offDays.length - required], 28) : today;
+        const daysLeft = TimeZones.daysBetween(today, deadlineDate);
+
+        let consecutiveDays = 0;
+        for (let i = days.length - 1; i >= 0 && !days[i].off; i--) {
+            consecutiveDays++;
+        }
+        const consecutive = RestCalculator.calculateConsecutiveDutyLimit(consecutiveDays);
+
+        let status = STATUS.GOOD;
+        if (!compliant) {
+            status = STATUS.EXCEEDED;
+        } else if (daysLeft <= 1 || consecutive.needsTimeOff) {
+            status = STATUS.DANGER;
+        } else if (daysLeft <= 3 || consecutive.daysRemaining <= 1) {
+            status = STATUS.WARNING;
+        }
+
+        return {
+            current: offDays.length,
+            currentFormatted: `${offDays.length}`,
+            limit: required,
+            limitFormatted: `${required}`,
+            remaining: daysLeft,
+            remainingFormatted: `${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+            percentage: Math.max(0, Math.min(100, ((28 - daysLeft) / 28) * 100)),
+            status: status,
+            compliant: compliant,
+            deadlineDate: deadlineDate,
+            offDays: offDays,
+            consecutiveDuty: consecutive,
+            zone: zone,
+            recordIds: filterByDateRange(dutyRecords, 28, atMs).map(record => record.id),
+            timeOff: 'monthly',
+            periodDays: 28
+        };
+    }
+
+    /**
+     * A duty record that ends at another instant
+     */
+    function extendRecord(record, endMs) {
+        return {
+            ...record,
+            releaseDateTime: new Date(endMs).toISOString(),
+            dutyMinutes: Math.max(0, Math.round((endMs - new Date(record.reportDateTime).getTime()) / MINUTE_MS))
+        };
+    }
+
+    /**
+     * First minute at which a duty in progress, carried on to untilMs, takes a
+     * rolling total over its limit
+     * The total can fall while on duty: earlier duty leaves the window faster
+     * than standby credited at less than its length adds to it, and a duty in
+     * progress adds no flight time at all. So it is scanned forward every
+     * CROSSING_STEP minutes, then minute by minute within the step that goes over.
+     *
+     * @returns {string|null} ISO instant, or null if the limit holds until untilMs
+     */
+    function findLimitCrossing(dutyRecords, activeRecord, rollingLimit, fromMs, untilMs) {
+        const limit = RulePacks.getActive().limits[rollingLimit.id];
+        const isOver = (ms) => checkRollingLimit(
+            dutyRecords.concat(extendRecord(activeRecord, ms)), rollingLimit, { at: ms }).current > limit;
+
+        if (isOver(fromMs)) return new Date(fromMs).toISOString();
+
+        let previousMs = fromMs;
+        while (previousMs < untilMs) {
+            const stepMs = Math.min(previousMs + CROSSING_STEP * MINUTE_MS, untilMs);
+            if (isOver(stepMs)) {
+                for (let ms = previousMs + MINUTE_MS; ms < stepMs; ms += MINUTE_MS) {
+                    if (isOver(ms)) return new Date(ms).toISOString();
+                }
+                return new Date(stepMs).toISOString();
+            }
+            previousMs = stepMs;
+        }
+
+        return null;
+    }
+
     /**
      * Run all compliance checks
      * 
+     * A duty in progress (currentDuty.record, released now) counts toward every
+     * check. With currentDuty.projectedEnd, each rolling check also gets the
+     * total if the duty runs to then (projected) and when it would go over
+     * the limit (limitReachedAt, null if it would not).
+     * 
+     * states lists every check's id, name, status, values and the ids of the
+     * records it looked at, for the audit log.
+     * 
      * @param {Array} dutyRecords - Array of duty record objects
-     * @param {Object} currentDuty - Current duty period info (optional)
+     * @param {Object} currentDuty - Current duty period info (optional):
+     *                               { elapsedFDP, maxFDP, elapsedFlightTime, isAugmented,
+     *                                 record, projectedEnd }
+     * @param {Object} options - { at, zone }: instant to check at (default: now)
+     *                           and home base zone for days off (optional)
      * @returns {Object} Complete compliance report
      */
-    function runAllChecks(dutyRecords = [], currentDuty = null) {
+    function runAllChecks(dutyRecords = [], currentDuty = null, options = {}) {
+        const activeRecord = currentDuty && currentDuty.record;
+        const records = activeRecord ? dutyRecords.concat(activeRecord) : dutyRecords;
+        
+        const rollingDefinitions = getRollingLimits();
+        const rollingLimits = rollingDefinitions
+            .map(rollingLimit => checkRollingLimit(records, rollingLimit, options));
+        const findRolling = (id, check) => rollingLimits.find(rolling => rolling.id === id) ||
+            check(records, options);
+
+        if (activeRecord && currentDuty.projectedEnd) {
+            const fromMs = new Date(activeRecord.releaseDateTime).getTime();
+            const untilMs = new Date(currentDuty.projectedEnd).getTime();
+            rollingLimits.forEach((check, index) => {
+                const rollingLimit = rollingDefinitions[index];
+                check.projected = untilMs > fromMs
+                    ? checkRollingLimit(dutyRecords.concat(extendRecord(activeRecord, untilMs)), rollingLimit, { at: untilMs }).current
+                    : check.current;
+                check.limitReachedAt = findLimitCrossing(dutyRecords, activeRecord, rollingLimit, fromMs, untilMs);
+            });
+        }
+
         const checks = {
-            duty7Day: check7DayDuty(dutyRecords),
-            duty28Day: check28DayDuty(dutyRecords),
-            flightTime28Day: check28DayFlightTime(dutyRecords),
-            flightTime365Day: check365DayFlightTime(dutyRecords),
+            rollingLimits: rollingLimits,
+            duty7Day: findRolling('duty7Day', check7DayDuty),
+            duty28Day: findRolling('duty28Day', check28DayDuty),
+            flightTime28Day: findRolling('flightTime28Day', check28DayFlightTime),
+            flightTime365Day: findRolling('flightTime365Day', check365DayFlightTime),
+            dutyFlightTime: checkLoggedFlightTime(records, options),
+            weeklyTimeOff: checkWeeklyTimeOff(records, options),
+            monthlyDaysOff: checkMonthlyDaysOff(records, options),
+            restPeriods: checkRestPeriods(records, options),
             currentFDP: null,
             currentFlightTime: null,
             overallStatus: STATUS.GOOD,
             allCompliant: true,
             warnings: [],
-            violations: []
+            violations: [],
+            states: []
         };
 
         // Check current duty if provided
         if (currentDuty) {
+            const activeIds = activeRecord ? [activeRecord.id] : [];
             if (currentDuty.elapsedFDP !== undefined && currentDuty.maxFDP !== undefined) {
                 checks.currentFDP = checkCurrentFDP(currentDuty.elapsedFDP, currentDuty.maxFDP);
+                checks.currentFDP.recordIds = activeIds;
             }
             if (currentDuty.elapsedFlightTime !== undefined) {
                 checks.currentFlightTime = checkCurrentFlightTime(
                     currentDuty.elapsedFlightTime,
                     currentDuty.isAugmented || false
                 );
+                checks.currentFlightTime.recordIds = activeIds;
             }
         }
 
         // Aggregate status
         const allChecks = [
-            checks.duty7Day,
-            checks.duty28Day,
-            checks.flightTime28Day,
+            ...rollingLimits,
+            checks.dutyFlightTime,
+            checks.weeklyTimeOff,
+            checks.monthlyDaysOff,
+            checks.restPeriods,
             checks.currentFDP,
             checks.currentFlightTime
         ].filter(c => c !== null);
 
         for (const check of allChecks) {
+            checks.states.push({
+                id: getCheckId(check),
+                name: getCheckName(check),
+                status: check.status,
+                compliant: check.compliant,
+                current: check.current,
+                currentFormatted: check.currentFormatted,
+                limit: check.limit,
+                limitFormatted: check.limitFormatted,
+                recordIds: check.recordIds || []
+            });
+
             if (!check.compliant) {
                 checks.allCompliant = false;
                 checks.violations.push({
@@ -359,50 +937,103 @@ const ComplianceChecker = (function() {
         return checks;
     }
 
+    /**
+     * Stable id of a check result, the key of runAllChecks' checks
+     * (or the rolling limit id)
+     */
+    function getCheckId(check) {
+        if (check.rollingLimit) return check.id;
+        if (check.restPeriods) return 'restPeriods';
+        if (check.timeOff === 'weekly') return 'weeklyTimeOff';
+        if (check.timeOff === 'monthly') return 'monthlyDaysOff';
+        if (check.perDuty) return 'dutyFlightTime';
+        if (check.crewType) return 'currentFlightTime';
+        return 'currentFDP';
+    }
+
     /**
      * Get human-readable name for a check result
      */
     function getCheckName(check) {
-        if (check.periodDays === 7) return '7-Day Duty';
-        if (check.periodDays === 28 && check.limit === LIMITS.DUTY_28_DAY) return '28-Day Duty';
-        if (check.periodDays === 28 && check.limit === LIMITS.FLIGHT_TIME_28_DAY) return '28-Day Flight Time';
-        if (check.periodDays === 365) return 'Annual Flight Time';
+        if (check.rollingLimit) return check.name;
+        if (check.restPeriods) return 'Rest Between Duties';
+        if (check.timeOff === 'weekly') return 'Weekly Time Off';
+        if (check.timeOff === 'monthly') return '28-Day Days Off';
+        if (check.perDuty) return 'Single Duty Flight Time';
         if (check.crewType) return 'Current Flight Time';
         return 'FDP';
     }
 
+    /**
+     * Rolling totals at the end of each day, for a timeline of every rolling limit
+     * The last day ends at `at`; earlier days end at the following midnight
+     * at the given zone.
+     *
+     * @param {Array} dutyRecords - Array of duty record objects
+     * @param {Object} options - { at } end of the timeline (default: now),
+     *                           { days } number of days (default 28),
+     *                           { zone } time zone of the days (default: browser)
+     * @returns {Object} { days: [{ date, at }], series: [{ id, name, metric, periodDays,
+     *                     limit, values, peak: { index, date, value } }] }
+     */
+    function getRollingTimeline(dutyRecords, options = {}) {
+        const atMs = options.at ? new Date(options.at).getTime() : Date.now();
+        const zone = options.zone || TimeZones.getBrowserZone();
+        const dayCount = options.days || 28;
+        const lastDate = TimeZones.getZonedParts(new Date(atMs), zone).date;
+
+        const days = [];
+        for (let i = dayCount - 1; i >= 0; i--) {
+            const date = addDays(lastDate, -i);
+            const dayEnd = TimeZones.fromZonedDateTime(addDays(date, 1), '00:00', zone).getTime();
+            days.push({ date: date, at: new Date(Math.min(dayEnd, atMs)).toISOString() });
+        }
+
+        const series = getRollingLimits().map(rollingLimit => {
+            const values = days.map(day => checkRollingLimit(dutyRecords, rollingLimit, { at: day.at }).current);
+            const peakIndex = values.reduce((best, value, index) => value > values[best] ? index : best, 0);
+
+            return {
+                id: rollingLimit.id,
+                name: rollingLimit.name,
+                metric: rollingLimit.metric,
+                periodDays: rollingLimit.days,
+                limit: RulePacks.getActive().limits[rollingLimit.id],
+                values: values,
+                peak: { index: peakIndex, date: days[peakIndex].date, value: values[peakIndex] }
+            };
+        });
+
+        return { days: days, series: series };
+    }
+
     /**
      * Calculate how much duty/flight time can be added while staying compliant
+     * With no rolling limit to check, the maximum and limiting factor are null.
      */
     function calculateAvailability(dutyRecords) {
         const checks = runAllChecks(dutyRecords);
         
         // Find the most restrictive limit
-        const availabilities = [
-            { type: '7-Day Duty', available: checks.duty7Day.remaining },
-            { type: '28-Day Duty', available: checks.duty28Day.remaining },
-            { type: '28-Day Flight Time', available: checks.flightTime28Day.remaining }
-        ];
+        const availabilities = checks.rollingLimits.map(check => ({
+            type: check.name,
+            available: check.remaining
+        }));
         
         const mostRestrictive = availabilities.reduce((min, curr) => 
-            curr.available < min.available ? curr : min
+            min.available === null || curr.available < min.available ? curr : min,
+            { type: null, available: null }
         );
+        const maxAdditionalDuty = mostRestrictive.available === null ? null : Math.max(0, mostRestrictive.available);
         
         return {
-            maxAdditionalDuty: Math.max(0, mostRestrictive.available),
-            maxAdditionalDutyFormatted: formatDuration(Math.max(0, mostRestrictive.available)),
+            maxAdditionalDuty: maxAdditionalDuty,
+            maxAdditionalDutyFormatted: formatDuration(maxAdditionalDuty),
             limitingFactor: mostRestrictive.type,
             breakdown: availabilities
         };
     }
 
-    /**
-     * Get regulatory limits for reference
-     */
-    function getLimits() {
-        return { ...LIMITS };
-    }
-
     /**
      * Get status type constants
      */
@@ -416,11 +1047,27 @@ const ComplianceChecker = (function() {
         check28DayDuty,
         check28DayFlightTime,
         check365DayFlightTime,
+        checkRollingLimit,
+        getRollingLimits,
+        getRollingTotal,
+        filterByDateRange,
         checkCurrentFDP,
         checkCurrentFlightTime,
+        checkLoggedFlightTime,
+        checkWeeklyTimeOff,
+        checkMonthlyDaysOff,
+        checkRestPeriods,
+        getRestPeriods,
+        isAugmentedCrew,
+        getCreditedDutyMinutes,
+        getCreditedFlightMinutes,
         runAllChecks,
+        getRollingTimeline,
         calculateAvailability,
         getLimits,
+        setThresholds,
+        getThresholds,
+        getStatus,
         getStatusTypes,
         minutesToTime,
         formatDuration,
@@ -3,78 +3,26 @@
  * Based on Transport Canada CAR 700 Subpart 7 (2021 Amendments)
  * 
  * This module calculates maximum Flight Duty Periods based on:
- * - Report time (local time)
+ * - Report time (local time at the place of departure)
  * - Number of flight sectors
  * - Acclimatization status
+ *
+ * Limits are read from the active rule pack (RulePacks).
  */
 
 const FDPCalculator = (function() {
     'use strict';
 
     /**
-     * FDP Limits Table based on CAR 700.27
-     * Structure: reportTimeRange -> sectorRange -> maxFDP (in minutes)
-     * 
+     * FDP rules from the active rule pack (see rule-packs.js)
+     * Structure of table: reportTimeRange -> sectorRange -> maxFDP (in minutes)
+     *
      * Report times are in 24-hour format (local time)
-     * Sector ranges: 1-2, 3-4, 5+
-     */
-    const FDP_TABLE = {
-        // 0600-0659 Local
-        '0600-0659': {
-            '1-2': 780,   // 13:00
-            '3-4': 750,   // 12:30
-            '5+': 720     // 12:00
-        },
-        // 0700-1159 Local (optimal window)
-        '0700-1159': {
-            '1-2': 840,   // 14:00
-            '3-4': 810,   // 13:30
-            '5+': 780     // 13:00
-        },
-        // 1200-1359 Local
-        '1200-1359': {
-            '1-2': 780,   // 13:00
-            '3-4': 750,   // 12:30
-            '5+': 720     // 12:00
-        },
-        // 1400-1759 Local
-        '1400-1759': {
-            '1-2': 720,   // 12:00
-            '3-4': 690,   // 11:30
-            '5+': 660     // 11:00
-        },
-        // 1800-2159 Local
-        '1800-2159': {
-            '1-2': 660,   // 11:00
-            '3-4': 630,   // 10:30
-            '5+': 600     // 10:00
-        },
-        // 2200-0559 Local (WOCL - Window of Circadian Low)
-        '2200-0559': {
-            '1-2': 600,   // 10:00
-            '3-4': 570,   // 9:30
-            '5+': 540     // 9:00
-        }
-    };
-
-    /**
-     * Reduction for unacclimatized crew members (in minutes)
-     * Applied when crew is not acclimatized to local time
-     */
-    const UNACCLIMATIZED_REDUCTION = 60; // 1 hour reduction
-
-    /**
-     * Maximum absolute FDP limits
+     * Sector ranges in the CAR 700 pack: 1-2, 3-4, 5+
      */
-    const MAX_FDP_ABSOLUTE = 840;  // 14 hours
-    const MIN_FDP_ABSOLUTE = 540;  // 9 hours
-
-    /**
-     * Window of Circadian Low (WOCL) definition
-     * 0200-0559 local time at place of departure
-     */
-    const WOCL_START = 2 * 60;    // 0200
-    const WOCL_END = 6 * 60;      // 0600
+    function getRules() {
+        return RulePacks.getActive().fdp;
+    }
 
     /**
      * Convert time string (HH:MM) to minutes since midnight
@@ -110,6 +58,21 @@ const FDPCalculator = (function() {
         return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Parse an absolute report time (ISO date-time string or Date)
+     * Returns null for plain HH:MM strings
+     */
+    function parseDateTime(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value;
+        }
+        if (typeof value === 'string' && value.includes('T')) {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? null : date;
+        }
+        return null;
+    }
+
     /**
      * Format duration in minutes to readable string (Xh XXm)
      */
@@ -125,124 +88,680 @@ const FDPCalculator = (function() {
     }
 
     /**
-     * Determine the report time range based on the hour
+     * Parse an "HHMM" table key to minutes since midnight
+     */
+    function parseTableTime(hhmm) {
+        return parseInt(hhmm.slice(0, 2), 10) * 60 + parseInt(hhmm.slice(2), 10);
+    }
+
+    /**
+     * Local minutes since midnight of an instant at a zone
+     * Null without a zone: an instant's time of day depends on where it is read.
+     */
+    function localMinutes(instant, timeZone) {
+        return timeZone ? TimeZones.getZonedParts(instant, timeZone).minutes : null;
+    }
+
+    /**
+     * Determine the report time range key from the active FDP table
+     * Ranges are inclusive ("0600-0659") and may wrap midnight ("2200-0559")
      */
     function getReportTimeRange(reportMinutes) {
-        const hour = Math.floor(reportMinutes / 60);
-        
-        if (hour >= 6 && hour < 7) return '0600-0659';
-        if (hour >= 7 && hour < 12) return '0700-1159';
-        if (hour >= 12 && hour < 14) return '1200-1359';
-        if (hour >= 14 && hour < 18) return '1400-1759';
-        if (hour >= 18 && hour < 22) return '1800-2159';
-        // 2200-0559 (covers 22, 23, 0, 1, 2, 3, 4, 5)
-        return '2200-0559';
+        const ranges = Object.keys(getRules().table);
+
+        for (const range of ranges) {
+            const [from, to] = range.split('-');
+            const start = parseTableTime(from);
+            const end = parseTableTime(to);
+
+            if (start <= end) {
+                if (reportMinutes >= start && reportMinutes <= end) return range;
+            } else if (reportMinutes >= start || reportMinutes <= end) {
+                return range;
+            }
+        }
+
+        return null;
     }
 
     /**
-     * Determine sector range category
+     * Positioning rules from the active rule pack (positioning is not a sector
+     * or flight time unless the pack says so)
      */
-    function getSectorRange(sectors) {
-        const numSectors = parseInt(sectors, 10);
-        if (numSectors <= 2) return '1-2';
-        if (numSectors <= 4) return '3-4';
-        return '5+';
+    function getPositioningRules() {
+        return RulePacks.getActive().positioning || { countsAsSector: false, countsAsFlightTime: false };
+    }
+
+    /**
+     * Sectors that count toward the FDP table: operating sectors, plus
+     * positioning sectors when the active rule pack counts them
+     */
+    function countSectors(sectors, positioningSectors = 0) {
+        const operating = parseInt(sectors, 10) || 0;
+        const positioning = parseInt(positioningSectors, 10) || 0;
+        return operating + (getPositioningRules().countsAsSector ? positioning : 0);
+    }
+
+    /**
+     * Determine sector range category from the active FDP table
+     */
+    function getSectorRange(sectors, positioningSectors = 0) {
+        const numSectors = countSectors(sectors, positioningSectors);
+        const table = getRules().table;
+        const ranges = Object.keys(table[Object.keys(table)[0]]);
+
+        for (const range of ranges) {
+            if (range.endsWith('+')) {
+                if (numSectors >= parseInt(range, 10)) return range;
+                continue;
+            }
+            const [from, to] = range.split('-').map(n => parseInt(n, 10));
+            if (numSectors >= from && numSectors <= to) return range;
+        }
+
+        // Fewer sectors than the first range covers count as that range
+        return ranges[0];
     }
 
     /**
      * Check if a time falls within WOCL (Window of Circadian Low)
-     * WOCL is defined as 0200-0559 local time
+     * WOCL is defined by the active rule pack (0200-0559 local time in CAR 700)
      */
     function isInWOCL(timeMinutes) {
-        return timeMinutes >= WOCL_START && timeMinutes < WOCL_END;
+        const wocl = getRules().wocl;
+        return timeMinutes >= wocl.start && timeMinutes < wocl.end;
     }
 
     /**
      * Check if duty period encroaches on WOCL
+     * An end earlier than the start is on the next day.
      */
     function encroachesWOCL(startMinutes, endMinutes) {
-        // Handle overnight duty
-        if (endMinutes < startMinutes) {
-            // Duty goes past midnight
-            // Check if WOCL period overlaps
-            return (startMinutes < WOCL_END) || (endMinutes > WOCL_START) || 
-                   (startMinutes <= WOCL_END && endMinutes >= WOCL_START);
+        return getWOCLOverlap(startMinutes, (endMinutes - startMinutes + 1440) % 1440) > 0;
+    }
+
+    /**
+     * Minutes of a period that fall within a band repeated every day
+     * The period may run past midnight and across several days.
+     *
+     * @param {number} startMinutes - Local start time (minutes since midnight)
+     * @param {number} durationMinutes - Length of the period
+     * @param {Object} band - { start, end } local minutes since midnight, start < end
+     * @returns {number} Minutes inside the band
+     */
+    function getDailyOverlap(startMinutes, durationMinutes, band) {
+        const start = ((startMinutes % 1440) + 1440) % 1440;
+        const end = start + durationMinutes;
+        let overlap = 0;
+
+        for (let day = 0; day * 1440 < end; day++) {
+            const bandStart = band.start + day * 1440;
+            const bandEnd = band.end + day * 1440;
+            overlap += Math.max(0, Math.min(end, bandEnd) - Math.max(start, bandStart));
         }
-        
-        // Check if duty period overlaps with WOCL
-        return (startMinutes < WOCL_END && endMinutes > WOCL_START);
+
+        return overlap;
+    }
+
+    /**
+     * Minutes of a period that fall within WOCL
+     * The period may run past midnight and across several days.
+     *
+     * @param {number} startMinutes - Local start time (minutes since midnight)
+     * @param {number} durationMinutes - Length of the period
+     * @returns {number} Minutes inside WOCL
+     */
+    function getWOCLOverlap(startMinutes, durationMinutes) {
+        return getDailyOverlap(startMinutes, durationMinutes, getRules().wocl);
+    }
+
+    /**
+     * FDP reduction the active rule pack calls for when an FDP encroaches on WOCL
+     *
+     * @param {number} startMinutes - Local report time (minutes since midnight)
+     * @param {number} durationMinutes - FDP length before the reduction
+     * @returns {Object} { overlap, startsIn, reduction }
+     */
+    function getWOCLReduction(startMinutes, durationMinutes) {
+        const rules = getRules().wocl.reduction;
+        const overlap = getWOCLOverlap(startMinutes, durationMinutes);
+        const startsIn = isInWOCL(((startMinutes % 1440) + 1440) % 1440);
+
+        if (!rules || overlap === 0) {
+            return { overlap: overlap, startsIn: startsIn, reduction: 0 };
+        }
+
+        const factor = startsIn ? rules.startsIn : rules.endsIn;
+        return {
+            overlap: overlap,
+            startsIn: startsIn,
+            reduction: Math.min(rules.max, Math.round(overlap * factor))
+        };
+    }
+
+    /**
+     * Split duty rules from the active rule pack, or null if not allowed
+     */
+    function getSplitDutyRules() {
+        return getRules().splitDuty || null;
+    }
+
+    /**
+     * PIC discretion rules from the active rule pack, or null if not allowed
+     */
+    function getDiscretionRules() {
+        return getRules().discretion || null;
+    }
+
+    /**
+     * Work out how much of a declared PIC discretion extension was used
+     *
+     * @param {number} baseMaxFdp - Maximum FDP before the extension (minutes)
+     * @param {number} actualFdp - FDP actually worked (minutes)
+     * @param {number} declaredMinutes - Extension declared (minutes)
+     * @returns {Object} { used, usedFormatted, restIncrease, restIncreaseFormatted, exceededDeclared }
+     */
+    function summarizeDiscretion(baseMaxFdp, actualFdp, declaredMinutes) {
+        const rules = getDiscretionRules() || { restIncreaseFactor: 1 };
+        const used = Math.max(0, actualFdp - baseMaxFdp);
+        const restIncrease = Math.ceil(used * rules.restIncreaseFactor);
+
+        return {
+            used: used,
+            usedFormatted: formatDuration(used),
+            restIncrease: restIncrease,
+            restIncreaseFormatted: formatDuration(restIncrease),
+            exceededDeclared: used > declaredMinutes
+        };
+    }
+
+    /**
+     * Standby and reserve duty types from the active rule pack, or null if not provided
+     */
+    function getStandbyRules() {
+        return RulePacks.getActive().standby || null;
+    }
+
+    /**
+     * FDP reduction for a call-out after standby
+     *
+     * @param {string} type - Standby duty type key
+     * @param {number} minutes - Time spent on standby before reporting
+     * @returns {Object} { type, name, minutes, reduction }, or { error }
+     */
+    function getStandbyReduction(type, minutes) {
+        const rules = getStandbyRules();
+        const standbyType = rules && rules.types[type];
+        if (!standbyType) {
+            return { error: `Unknown standby type "${type}".` };
+        }
+
+        const standbyMinutes = Math.round(Number(minutes));
+        if (isNaN(standbyMinutes) || standbyMinutes < 0) {
+            return { error: 'Invalid standby duration.' };
+        }
+
+        const excess = standbyType.fdpReductionAfter === null
+            ? 0
+            : Math.max(0, standbyMinutes - standbyType.fdpReductionAfter);
+
+        return {
+            type: type,
+            name: standbyType.name,
+            minutes: standbyMinutes,
+            reduction: Math.round(excess * standbyType.fdpReductionFactor)
+        };
+    }
+
+    /**
+     * Augmented crew rules from the active rule pack, or null if not provided
+     */
+    function getAugmentedRules() {
+        return getRules().augmented || null;
+    }
+
+    /**
+     * Resolve a crew composition against the augmented crew table
+     *
+     * @param {Object} crew - { pilots, facility }
+     * @returns {Object} { pilots, facility, facilityName, augmented, maxFDP }, or { error }
+     */
+    function resolveCrew(crew) {
+        const pilots = parseInt(crew.pilots, 10) || 2;
+        const rules = getAugmentedRules();
+        const crewSizes = rules ? Object.keys(rules.table).map(n => parseInt(n, 10)) : [];
+
+        // Crews below the smallest augmented size fly under the standard table
+        if (crewSizes.length === 0 || pilots < Math.min(...crewSizes)) {
+            return { pilots: pilots, facility: null, facilityName: null, augmented: false, maxFDP: null };
+        }
+
+        if (!rules.table[pilots]) {
+            return { error: `No augmented FDP limit for ${pilots} pilots.` };
+        }
+        if (!rules.facilities[crew.facility]) {
+            return { error: 'Please select the in-flight rest facility class.' };
+        }
+
+        return {
+            pilots: pilots,
+            facility: crew.facility,
+            facilityName: rules.facilities[crew.facility].name,
+            augmented: true,
+            maxFDP: rules.table[pilots][crew.facility]
+        };
+    }
+
+    /**
+     * Minutes from report to a break boundary
+     * Boundaries may be absolute (ISO / Date) or HH:MM local at departure
+     * (timeZone); an absolute boundary after an HH:MM report is read there.
+     */
+    function minutesAfterReport(value, reportInstant, reportMinutes, timeZone) {
+        const instant = parseDateTime(value);
+        if (instant && reportInstant) {
+            return Math.round((instant - reportInstant) / 60000);
+        }
+
+        const minutes = instant ? localMinutes(instant, timeZone) : timeToMinutes(value);
+        if (minutes === null) return null;
+        return (minutes - reportMinutes + 1440) % 1440;
+    }
+
+    /**
+     * Delayed reporting rules from the active rule pack, or null if not provided
+     */
+    function getDelayedReportingRules() {
+        return getRules().delayedReporting || null;
+    }
+
+    /**
+     * Work out when the FDP starts and which report time sets its limit
+     * after crew are notified of a delayed report
+     *
+     * @param {Object} delayedReporting - { notificationTime, delayedReportTime }
+     * @param {Date|null} reportInstant - Absolute original report instant, if known
+     * @param {number} reportMinutes - Local original report time at departure
+     * @param {string} timeZone - IANA zone at departure
+     * @returns {Object} Delay details, or { error }
+     */
+    function calculateDelayedReporting(delayedReporting, reportInstant, reportMinutes, timeZone) {
+        const rules = getDelayedReportingRules();
+        if (!rules) {
+            return { error: 'The active rule pack has no delayed reporting provisions.' };
+        }
+
+        const delayMinutes = minutesAfterReport(delayedReporting.delayedReportTime, reportInstant, reportMinutes, timeZone);
+        if (delayMinutes === null) {
+            return { error: 'Invalid delayed report time format. Please use HH:MM.' };
+        }
+        if (delayMinutes <= 0) {
+            return { error: 'Delayed report time must be after the original report time.' };
+        }
+
+        // HH:MM notifications are taken as within the 24 hours before the original report
+        const notificationInstant = parseDateTime(delayedReporting.notificationTime);
+        let noticeMinutes;
+        if (notificationInstant && reportInstant) {
+            noticeMinutes = Math.round((reportInstant - notificationInstant) / 60000);
+        } else {
+            const offset = minutesAfterReport(delayedReporting.notificationTime, reportInstant, reportMinutes, timeZone);
+            if (offset === null) {
+                return { error: 'Invalid notification time format. Please use HH:MM.' };
+            }
+            noticeMinutes = (1440 - offset) % 1440;
+        }
+
+        const result = {
+            delayMinutes: delayMinutes,
+            noticeMinutes: noticeMinutes,
+            recognized: noticeMinutes >= rules.minNotice,
+            startOffset: 0,
+            limitBasis: 'original',
+            info: ''
+        };
+
+        if (!result.recognized) {
+            result.info = `Notified less than ${formatDuration(rules.minNotice)} before report; ` +
+                'FDP starts at the original report time';
+            return result;
+        }
+
+        result.startOffset = delayMinutes;
+        if (delayMinutes >= rules.restDelay) {
+            result.limitBasis = 'delayed';
+            result.info = `Delay of ${formatDuration(delayMinutes)} counts as rest; limit from delayed report`;
+        } else if (delayMinutes >= rules.shortDelay) {
+            result.limitBasis = 'more-limiting';
+            result.info = `Delay of ${formatDuration(delayMinutes)}; more limiting of original and delayed report`;
+        } else {
+            result.info = `Delay of ${formatDuration(delayMinutes)}; limit from original report`;
+        }
+
+        return result;
+    }
+
+    /**
+     * Work out the FDP extension earned by a split duty break
+     *
+     * @param {Object} splitDuty - { breakStart, breakEnd, accommodation }
+     * @param {Date|null} reportInstant - Absolute report instant, if known
+     * @param {number} reportMinutes - Local report time at departure
+     * @param {string} timeZone - IANA zone at departure
+     * @returns {Object} Split duty details, or { error }
+     */
+    function calculateSplitDuty(splitDuty, reportInstant, reportMinutes, timeZone) {
+        const rules = getSplitDutyRules();
+        if (!rules) {
+            return { error: 'The active rule pack does not allow split duty.' };
+        }
+
+        const accommodation = rules.accommodations[splitDuty.accommodation];
+        if (!accommodation) {
+            return { error: `Unknown accommodation type "${splitDuty.accommodation}".` };
+        }
+
+        const startOffset = minutesAfterReport(splitDuty.breakStart, reportInstant, reportMinutes, timeZone);
+        let endOffset = minutesAfterReport(splitDuty.breakEnd, reportInstant, reportMinutes, timeZone);
+        if (startOffset === null || endOffset === null) {
+            return { error: 'Invalid break time format. Please use HH:MM.' };
+        }
+        if (startOffset < 0) {
+            return { error: 'Break must start after report time.' };
+        }
+
+        // HH:MM breaks that end before they start run past midnight
+        if (endOffset <= startOffset && !(parseDateTime(splitDuty.breakEnd) && reportInstant)) {
+            endOffset += 1440;
+        }
+        if (endOffset <= startOffset) {
+            return { error: 'Break end must be after break start.' };
+        }
+
+        const breakMinutes = endOffset - startOffset;
+        const woclMinutes = getWOCLOverlap(reportMinutes + startOffset, breakMinutes);
+        const countedMinutes = Math.max(0,
+            breakMinutes - rules.deduction - (accommodation.excludeWocl ? woclMinutes : 0));
+        const qualifies = breakMinutes >= rules.minBreak;
+        const extension = qualifies ? Math.floor(countedMinutes * accommodation.credit) : 0;
+
+        let info;
+        if (!qualifies) {
+            info = `Break shorter than ${formatDuration(rules.minBreak)}; no extension`;
+        } else if (accommodation.excludeWocl && woclMinutes > 0) {
+            info = `${accommodation.name}: +${formatDuration(extension)}, ${formatDuration(woclMinutes)} in WOCL not counted`;
+        } else {
+            info = `${accommodation.name}: +${formatDuration(extension)}`;
+        }
+
+        return {
+            accommodation: splitDuty.accommodation,
+            accommodationName: accommodation.name,
+            breakStartOffset: startOffset,
+            breakEndOffset: endOffset,
+            breakMinutes: breakMinutes,
+            woclMinutes: woclMinutes,
+            countedMinutes: countedMinutes,
+            qualifies: qualifies,
+            extension: extension,
+            info: info
+        };
     }
 
     /**
      * Calculate maximum FDP based on input parameters
      * 
-     * @param {string} reportTime - Report time in HH:MM format
+     * @param {string|Date} reportTime - Report time in HH:MM format, or an absolute
+     *                                    ISO date-time / Date for the report instant
      * @param {number|string} sectors - Number of flight sectors
-     * @param {string} acclimatizationStatus - 'acclimatized' or 'unacclimatized'
+     * @param {string|Object} acclimatizationStatus - 'acclimatized' or 'unacclimatized',
+     *                                               or a state from Acclimatization.getState()
+     * @param {Object} options - Optional settings
+     * @param {string} options.timeZone - IANA zone at the place of departure; the
+     *                                    table is keyed on local time there
+     *                                    (required with a report date-time)
+     * @param {Object} options.splitDuty - Ground break { breakStart, breakEnd, accommodation }
+     * @param {Object} options.crew - Crew composition { pilots, facility }; 3+ pilots
+     *                                use the augmented crew table
+     * @param {Object} options.discretion - PIC discretion extension { minutes }
+     * @param {Object} options.standby - Standby before a call-out { type, minutes }
+     * @param {number} options.positioningSectors - Positioning (deadhead) sectors in the duty
+     * @param {Object} options.delayedReporting - Delay notified before report
+     *                                            { notificationTime, delayedReportTime };
+     *                                            reportTime is then the original report
      * @returns {Object} Calculation results
      */
-    function calculate(reportTime, sectors, acclimatizationStatus) {
+    function calculate(reportTime, sectors, acclimatizationStatus, options = {}) {
         const result = {
             success: false,
             maxFDP: null,
             maxFDPFormatted: '--:--',
             endOfDuty: null,
             endOfDutyFormatted: '--:--',
+            reportDateTime: null,
+            originalReportDateTime: null,
+            endOfDutyDateTime: null,
+            timeZone: null,
             woclEncroachment: false,
+            woclMinutes: 0,
+            woclReduction: 0,
             woclInfo: 'No encroachment',
             reportTimeRange: null,
             sectorRange: null,
+            acclimatizationStatus: null,
             reductions: [],
+            extensions: [],
+            splitDuty: null,
+            crew: null,
+            discretion: null,
+            standby: null,
+            positioningSectors: 0,
+            countedSectors: null,
+            delayedReporting: null,
             error: null
         };
 
-        // Validate report time
-        const reportMinutes = timeToMinutes(reportTime);
-        if (reportMinutes === null) {
+        // Validate departure time zone
+        if (options.timeZone && !TimeZones.isValidZone(options.timeZone)) {
+            result.error = `Unknown time zone "${options.timeZone}".`;
+            return result;
+        }
+
+        // Validate report time; a report date-time is read at the departure zone
+        const originalInstant = parseDateTime(reportTime);
+        if (originalInstant && !options.timeZone) {
+            result.error = 'A time zone is needed for a report date-time.';
+            return result;
+        }
+        const originalMinutes = originalInstant
+            ? localMinutes(originalInstant, options.timeZone)
+            : timeToMinutes(reportTime);
+        if (originalMinutes === null) {
             result.error = 'Invalid report time format. Please use HH:MM.';
             return result;
         }
 
-        // Validate sectors
+        // A delay notified in time moves the FDP start to the delayed report
+        let delayed = null;
+        if (options.delayedReporting) {
+            delayed = calculateDelayedReporting(options.delayedReporting, originalInstant, originalMinutes, options.timeZone);
+            if (delayed.error) {
+                result.error = delayed.error;
+                return result;
+            }
+            result.delayedReporting = delayed;
+        }
+        const startOffset = delayed ? delayed.startOffset : 0;
+        const reportInstant = originalInstant ? new Date(originalInstant.getTime() + startOffset * 60000) : null;
+        const reportMinutes = (originalMinutes + startOffset) % 1440;
+
+        // Validate sectors (a duty may be positioning only)
         const numSectors = parseInt(sectors, 10);
-        if (isNaN(numSectors) || numSectors < 1 || numSectors > 10) {
-            result.error = 'Invalid number of sectors. Please enter 1-10.';
+        const numPositioning = options.positioningSectors === undefined
+            ? 0
+            : parseInt(options.positioningSectors, 10);
+        if (isNaN(numPositioning) || numPositioning < 0 || numPositioning > 10) {
+            result.error = 'Invalid number of positioning sectors. Please enter 0-10.';
+            return result;
+        }
+        if (isNaN(numSectors) || numSectors < 0 || numSectors > 10) {
+            result.error = 'Invalid number of sectors. Please enter 0-10 (0 for a positioning-only duty).';
+            return result;
+        }
+        if (numSectors + numPositioning < 1) {
+            result.error = 'A duty needs at least one operating or positioning sector.';
             return result;
         }
 
         // Get table lookup values
-        const reportTimeRange = getReportTimeRange(reportMinutes);
-        const sectorRange = getSectorRange(numSectors);
+        const rules = getRules();
+        const originalRange = getReportTimeRange(originalMinutes);
+        const delayedRange = delayed && delayed.recognized
+            ? getReportTimeRange((originalMinutes + delayed.delayMinutes) % 1440)
+            : originalRange;
+        const sectorRange = getSectorRange(numSectors, numPositioning);
         
-        result.reportTimeRange = reportTimeRange;
         result.sectorRange = sectorRange;
+        result.positioningSectors = numPositioning;
+        result.countedSectors = countSectors(numSectors, numPositioning);
+
+        if (!originalRange || !delayedRange) {
+            result.error = 'Report time is not covered by the active FDP table.';
+            return result;
+        }
+
+        // Delayed reporting decides which report time the limit comes from
+        let reportTimeRange = originalRange;
+        if (delayed && delayed.limitBasis === 'delayed') {
+            reportTimeRange = delayedRange;
+        } else if (delayed && delayed.limitBasis === 'more-limiting' &&
+            rules.table[delayedRange][sectorRange] < rules.table[originalRange][sectorRange]) {
+            reportTimeRange = delayedRange;
+        }
+        result.reportTimeRange = reportTimeRange;
+
+        // Crew composition decides which table applies
+        const crew = resolveCrew(options.crew || {});
+        if (crew.error) {
+            result.error = crew.error;
+            return result;
+        }
+        if (crew.augmented && options.splitDuty) {
+            result.error = 'Split duty cannot be combined with an augmented crew.';
+            return result;
+        }
+        result.crew = crew;
 
         // Look up base FDP
-        let maxFDP = FDP_TABLE[reportTimeRange][sectorRange];
+        let maxFDP = crew.augmented ? crew.maxFDP : rules.table[reportTimeRange][sectorRange];
 
         // Apply unacclimatized reduction if applicable
-        if (acclimatizationStatus === 'unacclimatized') {
-            maxFDP -= UNACCLIMATIZED_REDUCTION;
+        const acclimatization = acclimatizationStatus && typeof acclimatizationStatus === 'object'
+            ? acclimatizationStatus
+            : { status: acclimatizationStatus };
+        result.acclimatizationStatus = acclimatization.status === 'unacclimatized' ? 'unacclimatized' : 'acclimatized';
+
+        if (acclimatization.status === 'unacclimatized') {
+            maxFDP -= rules.unacclimatizedReduction;
+            result.reductions.push({
+                reason: acclimatization.reason ? `Unacclimatized crew (${acclimatization.reason})` : 'Unacclimatized crew',
+                amount: rules.unacclimatizedReduction
+            });
+        }
+
+        // Ensure FDP is within absolute limits (augmented limits replace the maximum)
+        maxFDP = Math.max(rules.minFdp, crew.augmented ? maxFDP : Math.min(rules.maxFdp, maxFDP));
+
+        // Long standby before a call-out shortens the FDP, below the minimum if need be
+        if (options.standby) {
+            const standby = getStandbyReduction(options.standby.type, options.standby.minutes);
+            if (standby.error) {
+                result.error = standby.error;
+                return result;
+            }
+
+            result.standby = standby;
+            if (standby.reduction > 0) {
+                maxFDP = Math.max(0, maxFDP - standby.reduction);
+                result.reductions.push({
+                    reason: `${standby.name} (${formatDuration(standby.minutes)} before report)`,
+                    amount: standby.reduction
+                });
+            }
+        }
+
+        // Reduce for WOCL encroachment where the rule pack calls for it
+        const woclReduction = getWOCLReduction(reportMinutes, maxFDP);
+        if (woclReduction.reduction > 0) {
+            maxFDP -= woclReduction.reduction;
+            result.woclReduction = woclReduction.reduction;
             result.reductions.push({
-                reason: 'Unacclimatized crew',
-                amount: UNACCLIMATIZED_REDUCTION
+                reason: `WOCL encroachment (${formatDuration(woclReduction.overlap)} ` +
+                    `${woclReduction.startsIn ? 'from report' : 'at end of duty'})`,
+                amount: woclReduction.reduction
             });
         }
 
-        // Ensure FDP is within absolute limits
-        maxFDP = Math.max(MIN_FDP_ABSOLUTE, Math.min(MAX_FDP_ABSOLUTE, maxFDP));
+        // Extend for a split duty break on the ground
+        if (options.splitDuty) {
+            const splitDuty = calculateSplitDuty(options.splitDuty, reportInstant, reportMinutes, options.timeZone);
+            if (splitDuty.error) {
+                result.error = splitDuty.error;
+                return result;
+            }
+            if (splitDuty.breakEndOffset > maxFDP + splitDuty.extension) {
+                result.error = 'Break must end before the end of the flight duty period.';
+                return result;
+            }
+
+            maxFDP += splitDuty.extension;
+            result.splitDuty = splitDuty;
+            if (splitDuty.extension > 0) {
+                result.extensions.push({
+                    reason: `Split duty break: ${splitDuty.accommodationName}`,
+                    amount: splitDuty.extension
+                });
+            }
+        }
+
+        // PIC discretion for unforeseen operational circumstances
+        if (options.discretion) {
+            const discretionRules = getDiscretionRules();
+            const minutes = Math.round(Number(options.discretion.minutes));
+
+            if (!discretionRules) {
+                result.error = 'The active rule pack does not allow a PIC discretion extension.';
+                return result;
+            }
+            if (isNaN(minutes) || minutes <= 0) {
+                result.error = 'Invalid extension. Please enter a positive duration.';
+                return result;
+            }
+            if (minutes > discretionRules.maxExtension) {
+                result.error = `PIC discretion is limited to ${formatDuration(discretionRules.maxExtension)}.`;
+                return result;
+            }
+
+            result.discretion = { baseMaxFDP: maxFDP, minutes: minutes };
+            maxFDP += minutes;
+            result.extensions.push({
+                reason: 'PIC discretion (unforeseen operational circumstances)',
+                amount: minutes
+            });
+        }
 
         // Calculate end of duty time
         let endOfDuty = reportMinutes + maxFDP;
         
-        // Check for WOCL encroachment
-        const woclEncroachment = encroachesWOCL(reportMinutes, endOfDuty % 1440);
-        result.woclEncroachment = woclEncroachment;
+        // Minutes of the final FDP inside WOCL
+        const woclMinutes = getWOCLOverlap(reportMinutes, maxFDP);
+        result.woclMinutes = woclMinutes;
+        result.woclEncroachment = woclMinutes > 0;
         
-        if (woclEncroachment) {
-            result.woclInfo = 'Duty encroaches WOCL (0200-0559)';
-        } else if (isInWOCL(reportMinutes)) {
-            result.woclInfo = 'Report time is within WOCL';
+        if (woclMinutes > 0) {
+            result.woclInfo = `${formatDuration(woclMinutes)} in WOCL (${formatWOCL(rules.wocl)})` +
+                (isInWOCL(reportMinutes) ? ', report within WOCL' : '') +
+                (result.woclReduction > 0 ? `; FDP reduced ${formatDuration(result.woclReduction)}` : '');
         }
 
         // Populate successful result
@@ -256,17 +775,26 @@ const FDPCalculator = (function() {
         
         // Add next day indicator if duty extends past midnight
         if (endOfDuty >= 1440) {
-            result.endOfDutyFormatted += ' (+1)';
+            result.endOfDutyFormatted += ` (+${Math.floor(endOfDuty / 1440)})`;
         }
 
+        // Absolute instants when the report date is known
+        if (reportInstant) {
+            result.reportDateTime = reportInstant.toISOString();
+            result.originalReportDateTime = originalInstant.toISOString();
+            result.endOfDutyDateTime = new Date(reportInstant.getTime() + maxFDP * 60000).toISOString();
+        }
+        result.timeZone = options.timeZone || null;
+
         return result;
     }
 
     /**
      * Calculate remaining FDP given current elapsed time
+     * The status follows the user's FDP alert thresholds (ComplianceChecker).
      */
-    function calculateRemaining(reportTime, elapsedMinutes, sectors, acclimatizationStatus) {
-        const fdpResult = calculate(reportTime, sectors, acclimatizationStatus);
+    function calculateRemaining(reportTime, elapsedMinutes, sectors, acclimatizationStatus, options = {}) {
+        const fdpResult = calculate(reportTime, sectors, acclimatizationStatus, options);
         
         if (!fdpResult.success) {
             return {
@@ -280,9 +808,7 @@ const FDPCalculator = (function() {
         const remaining = fdpResult.maxFDP - elapsedMinutes;
         const percentage = Math.min(100, Math.max(0, (elapsedMinutes / fdpResult.maxFDP) * 100));
         
-        let status = 'good';
-        if (remaining <= 60) status = 'danger';
-        else if (remaining <= 120) status = 'warning';
+        const status = ComplianceChecker.getStatus(elapsedMinutes, fdpResult.maxFDP, 'fdp');
 
         return {
             remaining: Math.max(0, remaining),
@@ -293,33 +819,148 @@ const FDPCalculator = (function() {
         };
     }
 
+    /**
+     * Check the remaining planned sectors against the FDP limit for the
+     * number of sectors flown by the end of each one
+     *
+     * @param {string|Date} reportTime - Report time, as for calculate()
+     * @param {number} flownSectors - Operating sectors already flown
+     * @param {Array} plannedSectors - Remaining sectors [{ blockOff, blockOn }], HH:MM local
+     *                                 at departure or absolute ISO date-times
+     * @param {string|Object} acclimatizationStatus - As for calculate()
+     * @param {Object} options - As for calculate()
+     * @returns {Object} { success, sectors, lastLegalSector, firstIllegalSector, error }
+     */
+    function planSectors(reportTime, flownSectors, plannedSectors, acclimatizationStatus, options = {}) {
+        const result = {
+            success: false,
+            sectors: [],
+            lastLegalSector: null,
+            firstIllegalSector: null,
+            error: null
+        };
+
+        const flown = parseInt(flownSectors, 10) || 0;
+        const base = calculate(reportTime, Math.max(1, flown), acclimatizationStatus, options);
+        if (!base.success) {
+            result.error = base.error;
+            return result;
+        }
+
+        // Block times are measured from the FDP start (the delayed report, if any)
+        const startInstant = base.reportDateTime ? new Date(base.reportDateTime) : null;
+        let previousBlockOn = 0;
+
+        for (let i = 0; i < plannedSectors.length; i++) {
+            const planned = plannedSectors[i];
+            const number = flown + i + 1;
+            const offOffset = minutesAfterReport(planned.blockOff, startInstant, base.reportMinutes, options.timeZone);
+            const onOffset = minutesAfterReport(planned.blockOn, startInstant, base.reportMinutes, options.timeZone);
+
+            if (offOffset === null || onOffset === null) {
+                result.error = `Sector ${number}: invalid block time format. Please use HH:MM.`;
+                return result;
+            }
+            if (offOffset < previousBlockOn) {
+                result.error = `Sector ${number}: block-off must be after the previous sector's block-on.`;
+                return result;
+            }
+            if (onOffset <= offOffset) {
+                result.error = `Sector ${number}: block-on must be after block-off.`;
+                return result;
+            }
+
+            const remaining = calculateRemaining(reportTime, onOffset, number, acclimatizationStatus, options);
+            if (remaining.maxFDP === undefined) {
+                result.error = `Sector ${number}: no FDP limit for ${number} sectors.`;
+                return result;
+            }
+
+            const margin = remaining.maxFDP - onOffset;
+            const latestBlockOn = remaining.maxFDP;
+            const latestBlockOff = latestBlockOn - (onOffset - offOffset);
+            const sector = {
+                number: number,
+                blockOffOffset: offOffset,
+                blockOnOffset: onOffset,
+                maxFDP: remaining.maxFDP,
+                latestBlockOn: (base.reportMinutes + latestBlockOn) % 1440,
+                latestBlockOnFormatted: minutesToTime((base.reportMinutes + latestBlockOn) % 1440),
+                latestBlockOff: (base.reportMinutes + latestBlockOff) % 1440,
+                latestBlockOffFormatted: minutesToTime((base.reportMinutes + latestBlockOff) % 1440),
+                latestBlockOnDateTime: startInstant
+                    ? new Date(startInstant.getTime() + latestBlockOn * 60000).toISOString()
+                    : null,
+                latestBlockOffDateTime: startInstant
+                    ? new Date(startInstant.getTime() + latestBlockOff * 60000).toISOString()
+                    : null,
+                margin: margin,
+                marginFormatted: (margin < 0 ? '-' : '+') + formatDuration(Math.abs(margin)),
+                legal: margin >= 0
+            };
+
+            result.sectors.push(sector);
+            if (sector.legal && result.firstIllegalSector === null) {
+                result.lastLegalSector = number;
+            } else if (!sector.legal && result.firstIllegalSector === null) {
+                result.firstIllegalSector = number;
+            }
+            previousBlockOn = onOffset;
+        }
+
+        result.success = true;
+        return result;
+    }
+
+    /**
+     * Format a WOCL window as HHMM-HHMM
+     */
+    function formatWOCL(wocl) {
+        return minutesToTime(wocl.start).replace(':', '') + '-' +
+            minutesToTime(wocl.end - 1).replace(':', '');
+    }
+
     /**
      * Get FDP table for reference display
      */
     function getTable() {
-        return FDP_TABLE;
+        return getRules().table;
     }
 
     /**
      * Get all time range options for dropdown
      */
     function getTimeRanges() {
-        return Object.keys(FDP_TABLE);
+        return Object.keys(getRules().table);
     }
 
     // Public API
     return {
         calculate,
         calculateRemaining,
+        planSectors,
+        getDailyOverlap,
+        getWOCLOverlap,
+        getWOCLReduction,
+        encroachesWOCL,
+        getSplitDutyRules,
+        getAugmentedRules,
+        getDiscretionRules,
+        getStandbyRules,
+        getStandbyReduction,
+        getPositioningRules,
+        getDelayedReportingRules,
+        getSectorRange,
+        summarizeDiscretion,
         getTable,
         getTimeRanges,
         timeToMinutes,
         minutesToTime,
         formatDuration,
-        WOCL_START,
-        WOCL_END,
-        MAX_FDP_ABSOLUTE,
-        MIN_FDP_ABSOLUTE
+        get WOCL_START() { return getRules().wocl.start; },
+        get WOCL_END() { return getRules().wocl.end; },
+        get MAX_FDP_ABSOLUTE() { return getRules().maxFdp; },
+        get MIN_FDP_ABSOLUTE() { return getRules().minFdp; }
     };
 })();
 
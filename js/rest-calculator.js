@@ -4,55 +4,52 @@
  * 
  * This module calculates minimum rest periods based on:
  * - Preceding duty period length
- * - Time zones crossed
+ * - Time zones crossed, and the direction of travel
  * - Acclimatization requirements
+ * - Sleep opportunity after travel and hotel check-in, with its WOCL
+ *   and daylight (after local sunrise) share
+ * - Logged duty records (calculateForRecord)
+ *
+ * Requirements are read from the active rule pack (RulePacks).
  */
 
 const RestCalculator = (function() {
     'use strict';
 
     /**
-     * Standard rest requirements based on CAR 700.28
-     * All values in minutes
+     * Rest rules from the active rule pack (see rule-packs.js)
+     * All values in minutes unless otherwise noted
      */
-    const REST_REQUIREMENTS = {
-        // Standard minimum rest period
-        STANDARD_MIN: 600,           // 10 hours
-        
-        // After extended duty (12+ hours FDP)
-        EXTENDED_DUTY_MIN: 720,      // 12 hours
-        EXTENDED_DUTY_THRESHOLD: 720, // 12 hours FDP triggers extended rest
-        
-        // After very long duty (14+ hours)
-        VERY_LONG_DUTY_MIN: 840,     // 14 hours
-        VERY_LONG_DUTY_THRESHOLD: 840, // 14 hours FDP
-        
-        // Minimum sleep opportunity within rest period
-        MIN_SLEEP_OPPORTUNITY: 480,   // 8 hours
-        
-        // Recommended rest (for fatigue management)
-        RECOMMENDED_MULTIPLIER: 1.25  // 25% more than minimum
-    };
+    function getRules() {
+        return RulePacks.getActive().rest;
+    }
 
     /**
-     * Time zone crossing adjustments
-     * Additional rest required based on zones crossed
+     * Standard rest requirements based on CAR 700.28
+     * Keyed the way this module has always exposed them via getConstants()
      */
-    const TIMEZONE_ADJUSTMENTS = {
-        '0-2': 0,      // No additional rest
-        '3-4': 60,     // +1 hour
-        '5+': 120      // +2 hours
-    };
+    function getRestRequirements() {
+        const rules = getRules();
 
-    /**
-     * Acclimatization periods required based on time zones crossed
-     * Time needed to become acclimatized (in hours)
-     */
-    const ACCLIMATIZATION_PERIODS = {
-        '0-2': 0,
-        '3-4': 48,     // 2 days
-        '5+': 72       // 3 days
-    };
+        return {
+            // Standard minimum rest period
+            STANDARD_MIN: rules.standardMin,
+
+            // After extended duty (12+ hours FDP in CAR 700)
+            EXTENDED_DUTY_MIN: rules.extendedDutyMin,
+            EXTENDED_DUTY_THRESHOLD: rules.extendedDutyThreshold,
+
+            // After very long duty (14+ hours in CAR 700)
+            VERY_LONG_DUTY_MIN: rules.veryLongDutyMin,
+            VERY_LONG_DUTY_THRESHOLD: rules.veryLongDutyThreshold,
+
+            // Minimum sleep opportunity within rest period
+            MIN_SLEEP_OPPORTUNITY: rules.minSleepOpportunity,
+
+            // Recommended rest (for fatigue management)
+            RECOMMENDED_MULTIPLIER: rules.recommendedMultiplier
+        };
+    }
 
     /**
      * Convert time string (HH:MM) to minutes since midnight
@@ -94,6 +91,21 @@ const RestCalculator = (function() {
         return timeStr;
     }
 
+    /**
+     * Parse an absolute duty end (ISO date-time string or Date)
+     * Returns null for plain HH:MM strings
+     */
+    function parseDateTime(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value;
+        }
+        if (typeof value === 'string' && value.includes('T')) {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? null : date;
+        }
+        return null;
+    }
+
     /**
      * Format duration in minutes to readable string
      */
@@ -109,24 +121,94 @@ const RestCalculator = (function() {
     }
 
     /**
-     * Get timezone adjustment category
+     * Get timezone adjustment category from the active rule pack
+     * Categories are keyed "N-M" or "N+" (0-2, 3-4, 5+ in CAR 700)
      */
     function getTimezoneCategory(zonesCrossed) {
         const zones = parseInt(zonesCrossed, 10) || 0;
-        if (zones <= 2) return '0-2';
-        if (zones <= 4) return '3-4';
-        return '5+';
+        const categories = Object.keys(getRules().timezoneAdjustments);
+
+        for (const category of categories) {
+            if (category.endsWith('+')) {
+                if (zones >= parseInt(category, 10)) return category;
+                continue;
+            }
+            const [from, to] = category.split('-').map(n => parseInt(n, 10));
+            if (zones >= from && zones <= to) return category;
+        }
+
+        return categories[0];
+    }
+
+    /**
+     * Direction of travel for a signed number of time zones
+     * Positive is eastward, negative westward.
+     */
+    function getDirection(signedZones) {
+        if (signedZones > 0) return 'east';
+        if (signedZones < 0) return 'west';
+        return null;
+    }
+
+    /**
+     * Time zone adjustments and acclimatization periods for a direction of
+     * travel: the pack's rest.directional values over the plain ones
+     *
+     * @param {string|null} direction - 'east', 'west' or null
+     * @returns {Object} { timezoneAdjustments, acclimatizationPeriods }
+     */
+    function getDirectionalRules(direction) {
+        const rules = getRules();
+        const directional = (rules.directional && direction && rules.directional[direction]) || {};
+
+        return {
+            timezoneAdjustments: { ...rules.timezoneAdjustments, ...directional.timezoneAdjustments },
+            acclimatizationPeriods: { ...rules.acclimatizationPeriods, ...directional.acclimatizationPeriods }
+        };
+    }
+
+    /**
+     * Signed shift between two zones' clocks at an instant
+     * Shifts of more than 12 hours are taken the short way round the globe.
+     *
+     * @returns {Object} { hours (east positive), zones, direction }
+     */
+    function getZoneShift(fromZone, toZone, instant) {
+        const date = instant instanceof Date ? instant : new Date(instant);
+        let minutes = TimeZones.getOffsetMinutes(toZone, date) - TimeZones.getOffsetMinutes(fromZone, date);
+        if (minutes > 720) minutes -= 1440;
+        if (minutes <= -720) minutes += 1440;
+
+        const hours = Math.round(minutes / 60);
+        return { hours: hours, zones: Math.abs(hours), direction: getDirection(hours) };
     }
 
     /**
      * Calculate minimum rest period based on preceding duty
      * 
-     * @param {string} dutyEndTime - Duty end time in HH:MM format
+     * @param {string|Date} dutyEndTime - Duty end time in HH:MM format, or an absolute
+     *                                     ISO date-time / Date for the release instant
      * @param {number} dutyLengthHours - Preceding duty period in hours
-     * @param {number|string} timezonesCrossed - Number of time zones crossed
+     * @param {number|string} timezonesCrossed - Number of time zones crossed;
+     *                                           negative counts are westward
+     * @param {Object} options - Optional settings
+     * @param {string} options.timeZone - IANA zone where the duty ended; local
+     *                                    times in the result are shown there
+     *                                    (required with a duty end date-time)
+     * @param {number} options.discretionExtension - PIC discretion extension used
+     *                                               in the preceding duty (minutes)
+     * @param {Object} options.sleep - { travelToAccommodation, travelFromAccommodation }
+     *                                   in minutes; { checkIn, sunrise, sunset } as
+     *                                   HH:MM local at the rest location (optional)
+     * @param {string|Date} options.nextReport - Planned next report instant; the
+     *                                           sleep window ends before it
+     * @param {string} options.direction - 'east' or 'west' (overrides the sign
+     *                                     of timezonesCrossed)
+     * @param {string} options.woclZone - Zone whose WOCL applies to the sleep
+     *                                    window (defaults to options.timeZone)
      * @returns {Object} Calculation results
      */
-    function calculate(dutyEndTime, dutyLengthHours, timezonesCrossed = 0) {
+    function calculate(dutyEndTime, dutyLengthHours, timezonesCrossed = 0, options = {}) {
         const result = {
             success: false,
             minRest: null,
@@ -137,12 +219,30 @@ const RestCalculator = (function() {
             recommendedRest: null,
             recommendedRestFormatted: '--:--',
             recommendedRestReadable: '--',
+            dutyEndDateTime: null,
+            nextReportDateTime: null,
+            recommendedNextReportDateTime: null,
             components: [],
             error: null
         };
 
         // Validate duty end time
-        const dutyEndMinutes = timeToMinutes(dutyEndTime);
+        const dutyEndInstant = parseDateTime(dutyEndTime);
+        for (const zone of [options.timeZone, options.woclZone]) {
+            if (zone && !TimeZones.isValidZone(zone)) {
+                result.error = `Unknown time zone "${zone}".`;
+                return result;
+            }
+        }
+        if (dutyEndInstant && !options.timeZone) {
+            result.error = 'A time zone is needed for a duty end date-time.';
+            return result;
+        }
+        
+        let dutyEndMinutes = timeToMinutes(dutyEndTime);
+        if (dutyEndInstant) {
+            dutyEndMinutes = TimeZones.getZonedParts(dutyEndInstant, options.timeZone).minutes;
+        }
         if (dutyEndMinutes === null) {
             result.error = 'Invalid duty end time format. Please use HH:MM.';
             return result;
@@ -150,25 +250,31 @@ const RestCalculator = (function() {
 
         // Validate duty length
         const dutyMinutes = parseFloat(dutyLengthHours) * 60;
-        if (isNaN(dutyMinutes) || dutyMinutes < 0 || dutyMinutes > 1440) {
-            result.error = 'Invalid duty period length. Please enter 0-24 hours.';
+        if (isNaN(dutyMinutes) || dutyMinutes < 0) {
+            result.error = 'Invalid duty period length. Please enter a positive number of hours.';
             return result;
         }
 
         // Determine base rest requirement based on duty length
+        const REST_REQUIREMENTS = getRestRequirements();
+        const signedZones = parseInt(timezonesCrossed, 10) || 0;
+        const direction = signedZones === 0 ? null : (options.direction || getDirection(signedZones));
+        const directionalRules = getDirectionalRules(direction);
+        const TIMEZONE_ADJUSTMENTS = directionalRules.timezoneAdjustments;
+        const ACCLIMATIZATION_PERIODS = directionalRules.acclimatizationPeriods;
         let minRest = REST_REQUIREMENTS.STANDARD_MIN;
         
         if (dutyMinutes >= REST_REQUIREMENTS.VERY_LONG_DUTY_THRESHOLD) {
             minRest = REST_REQUIREMENTS.VERY_LONG_DUTY_MIN;
             result.components.push({
-                reason: 'Very long duty (14h+)',
+                reason: `Very long duty (${formatDuration(REST_REQUIREMENTS.VERY_LONG_DUTY_THRESHOLD)}+)`,
                 amount: REST_REQUIREMENTS.VERY_LONG_DUTY_MIN,
                 type: 'base'
             });
         } else if (dutyMinutes >= REST_REQUIREMENTS.EXTENDED_DUTY_THRESHOLD) {
             minRest = REST_REQUIREMENTS.EXTENDED_DUTY_MIN;
             result.components.push({
-                reason: 'Extended duty (12h+)',
+                reason: `Extended duty (${formatDuration(REST_REQUIREMENTS.EXTENDED_DUTY_THRESHOLD)}+)`,
                 amount: REST_REQUIREMENTS.EXTENDED_DUTY_MIN,
                 type: 'base'
             });
@@ -181,31 +287,48 @@ const RestCalculator = (function() {
         }
 
         // Add timezone adjustment
-        const tzCategory = getTimezoneCategory(timezonesCrossed);
+        const tzCategory = getTimezoneCategory(Math.abs(signedZones));
         const tzAdjustment = TIMEZONE_ADJUSTMENTS[tzCategory];
         
         if (tzAdjustment > 0) {
             minRest += tzAdjustment;
             result.components.push({
-                reason: `Time zone crossing (${tzCategory})`,
+                reason: `Time zone crossing (${tzCategory}${direction ? ', ' + direction + 'ward' : ''})`,
                 amount: tzAdjustment,
                 type: 'adjustment'
             });
         }
 
-        // Ensure minimum sleep opportunity
-        // Rest period should allow for at least 8 hours of sleep opportunity
-        // Account for travel to/from accommodations (~1 hour each way)
-        const sleepOpportunityPadding = 120; // 2 hours for travel/transition
-        const minRestWithSleep = REST_REQUIREMENTS.MIN_SLEEP_OPPORTUNITY + sleepOpportunityPadding;
+        // Following rest grows after a PIC discretion extension
+        const discretionExtension = parseFloat(options.discretionExtension) || 0;
+        if (discretionExtension > 0) {
+            const discretion = RulePacks.getActive().fdp.discretion || { restIncreaseFactor: 1 };
+            const restIncrease = Math.ceil(discretionExtension * discretion.restIncreaseFactor);
+            minRest += restIncrease;
+            result.components.push({
+                reason: `PIC discretion extension (${formatDuration(discretionExtension)} used)`,
+                amount: restIncrease,
+                type: 'adjustment'
+            });
+        }
+
+        // Ensure minimum sleep opportunity once travel is taken out; waiting
+        // for the room only shortens the sleep window (analyzeSleepOpportunity)
+        const sleep = getSleepTimes(options.sleep);
+        if (sleep.error) {
+            result.error = sleep.error;
+            return result;
+        }
+        const minRestWithSleep = sleep.travelToAccommodation +
+            REST_REQUIREMENTS.MIN_SLEEP_OPPORTUNITY + sleep.travelFromAccommodation;
         
         if (minRest < minRestWithSleep) {
-            minRest = minRestWithSleep;
             result.components.push({
-                reason: 'Minimum sleep opportunity adjustment',
+                reason: `Minimum sleep opportunity (${formatDuration(REST_REQUIREMENTS.MIN_SLEEP_OPPORTUNITY)} plus travel)`,
                 amount: minRestWithSleep - minRest,
                 type: 'adjustment'
             });
+            minRest = minRestWithSleep;
         }
 
         // Calculate recommended rest (25% more than minimum)
@@ -228,6 +351,8 @@ const RestCalculator = (function() {
         result.recommendedNextReport = minutesToTime(recommendedNextReport);
         result.dutyEndMinutes = dutyEndMinutes;
         result.acclimatizationRequired = ACCLIMATIZATION_PERIODS[tzCategory];
+        result.direction = direction;
+        result.zonesCrossed = Math.abs(signedZones);
 
         // Add day indicator
         if (nextReportMinutes >= 1440) {
@@ -235,9 +360,148 @@ const RestCalculator = (function() {
             result.daysLater = Math.floor(nextReportMinutes / 1440);
         }
 
+        // Absolute instants when the duty end date is known
+        if (dutyEndInstant) {
+            result.dutyEndDateTime = dutyEndInstant.toISOString();
+            result.nextReportDateTime = new Date(dutyEndInstant.getTime() + minRest * 60000).toISOString();
+            result.recommendedNextReportDateTime =
+                new Date(dutyEndInstant.getTime() + recommendedRest * 60000).toISOString();
+        }
+        result.timeZone = options.timeZone || null;
+
+        // Planned next report, or the earliest one, ends the sleep window
+        let restMinutes = minRest;
+        const nextReportInstant = parseDateTime(options.nextReport);
+        if (nextReportInstant && dutyEndInstant) {
+            restMinutes = Math.floor((nextReportInstant - dutyEndInstant) / 60000);
+            if (restMinutes < 0) {
+                result.success = false;
+                result.error = 'The next report is before the end of duty.';
+                return result;
+            }
+        }
+        result.sleepOpportunity = analyzeSleepOpportunity(
+            dutyEndMinutes, dutyEndInstant, restMinutes, sleep,
+            options.woclZone || options.timeZone || null
+        );
+        result.sleepOpportunity.planned = !!(nextReportInstant && dutyEndInstant);
+        result.sleepOpportunity.restShort = restMinutes < minRest;
+
         return result;
     }
 
+    /**
+     * Travel times (minutes) and local times of day (minutes since midnight)
+     * around the sleep opportunity
+     * Travel defaults to an hour each way; check-in, sunrise and sunset to
+     * none. Sunset defaults to 12 hours after sunrise.
+     *
+     * @returns {Object} { travelToAccommodation, checkIn, sunrise, sunset,
+     *                     travelFromAccommodation }, or { error }
+     */
+    function getSleepTimes(sleep = {}) {
+        const minutes = (value, fallback) => {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) || parsed < 0 ? fallback : Math.round(parsed);
+        };
+        const timeOfDay = (value) => value ? timeToMinutes(value) : null;
+
+        const checkIn = timeOfDay(sleep.checkIn);
+        const sunrise = timeOfDay(sleep.sunrise);
+        const sunset = timeOfDay(sleep.sunset);
+        if ((sleep.checkIn && checkIn === null) || (sleep.sunrise && sunrise === null) ||
+            (sleep.sunset && sunset === null)) {
+            return { error: 'Invalid check-in, sunrise or sunset time. Please use HH:MM.' };
+        }
+        if (sunset !== null && (sunrise === null || sunset <= sunrise)) {
+            return { error: 'Sunset needs a sunrise before it.' };
+        }
+
+        return {
+            travelToAccommodation: minutes(sleep.travelToAccommodation, 60),
+            checkIn: checkIn,
+            sunrise: sunrise,
+            sunset: sunrise === null ? null : (sunset !== null ? sunset : Math.min(sunrise + 720, 1440)),
+            travelFromAccommodation: minutes(sleep.travelFromAccommodation, 60)
+        };
+    }
+
+    /**
+     * Minutes spent waiting for the room, which is ready from check-in on the
+     * day the duty ends: arriving before then means waiting until it, arriving
+     * later (after midnight included) means none
+     *
+     * @param {number} arrivalMinutes - Arrival at the accommodation, local minutes
+     *                                  since midnight of the day the duty ends
+     * @param {number|null} checkIn - Check-in time, local minutes since midnight
+     */
+    function getCheckInWait(arrivalMinutes, checkIn) {
+        if (checkIn === null) return 0;
+        return Math.max(0, checkIn - arrivalMinutes);
+    }
+
+    /**
+     * Work out the sleep opportunity inside a rest period
+     *
+     * The window opens after travel to the accommodation, or at the hotel's
+     * check-in time when arriving before it, and closes when the pilot must
+     * leave for the next report. Its WOCL overlap is read at woclZone: the rest
+     * location when acclimatized there, otherwise the zone the pilot's body
+     * clock is on. Daylight (sunrise to sunset) is local at the rest location.
+     *
+     * @param {number} dutyEndMinutes - Duty end, local minutes since midnight
+     * @param {Date|null} dutyEndInstant - Absolute duty end, when known
+     * @param {number} restMinutes - Rest period length
+     * @param {Object} sleep - Travel, check-in, sunrise and sunset (getSleepTimes)
+     * @param {string|null} woclZone - IANA zone for the WOCL
+     * @returns {Object} Sleep window, WOCL and daylight overlap and a breakdown of the rest
+     */
+    function analyzeSleepOpportunity(dutyEndMinutes, dutyEndInstant, restMinutes, sleep, woclZone) {
+        const required = getRestRequirements().MIN_SLEEP_OPPORTUNITY;
+        const checkInWait = getCheckInWait(dutyEndMinutes + sleep.travelToAccommodation, sleep.checkIn);
+        const startOffset = sleep.travelToAccommodation + checkInWait;
+        const minutes = Math.max(0, restMinutes - startOffset - sleep.travelFromAccommodation);
+
+        // Local start of the window at the WOCL zone
+        let windowStart = dutyEndMinutes + startOffset;
+        let startDateTime = null;
+        let endDateTime = null;
+        if (dutyEndInstant) {
+            const start = new Date(dutyEndInstant.getTime() + startOffset * 60000);
+            startDateTime = start.toISOString();
+            endDateTime = new Date(start.getTime() + minutes * 60000).toISOString();
+            windowStart = TimeZones.getZonedParts(start, woclZone).minutes;
+        }
+        const woclMinutes = FDPCalculator.getWOCLOverlap(windowStart, minutes);
+        const daylightMinutes = sleep.sunrise === null ? null
+            : FDPCalculator.getDailyOverlap(dutyEndMinutes + startOffset, minutes, { start: sleep.sunrise, end: sleep.sunset });
+
+        return {
+            minutes: minutes,
+            minutesFormatted: formatDuration(minutes),
+            required: required,
+            meetsMinimum: minutes >= required,
+            startFormatted: minutesToTime(dutyEndMinutes + startOffset),
+            endFormatted: minutesToTime(dutyEndMinutes + startOffset + minutes),
+            startDateTime: startDateTime,
+            endDateTime: endDateTime,
+            woclMinutes: woclMinutes,
+            woclFormatted: formatDuration(woclMinutes),
+            woclZone: woclZone,
+            checkInWait: checkInWait,
+            sunriseFormatted: sleep.sunrise === null ? null : minutesToTime(sleep.sunrise),
+            sunsetFormatted: sleep.sunrise === null ? null : minutesToTime(sleep.sunset),
+            daylightMinutes: daylightMinutes,
+            daylightFormatted: daylightMinutes === null ? null : formatDuration(daylightMinutes),
+            breakdown: [
+                { reason: 'Travel to accommodation', amount: sleep.travelToAccommodation },
+                { reason: 'Waiting for check-in', amount: checkInWait },
+                { reason: 'Sleep opportunity', amount: minutes },
+                { reason: 'Travel from accommodation', amount: sleep.travelFromAccommodation }
+            ]
+        };
+    }
+
     /**
      * Calculate if a proposed rest period is compliant
      * 
@@ -278,13 +542,41 @@ const RestCalculator = (function() {
         };
     }
 
+    /**
+     * Time zones crossed during a logged duty: the shift from the report to
+     * the release zone's clock at release, east positive
+     */
+    function getZonesCrossed(record) {
+        const reportZone = record.reportTimeZone;
+        const releaseZone = record.releaseTimeZone || reportZone;
+        if (!reportZone || !TimeZones.isValidZone(reportZone) || !TimeZones.isValidZone(releaseZone)) return 0;
+
+        return getZoneShift(reportZone, releaseZone, record.releaseDateTime || record.reportDateTime).hours;
+    }
+
+    /**
+     * Calculate the minimum rest owed after a logged duty record
+     * Uses the record's release instant and zone, duty length, zones crossed
+     * and any PIC discretion extension used.
+     *
+     * @param {Object} record - Duty record from StorageManager
+     * @returns {Object} calculate() result
+     */
+    function calculateForRecord(record) {
+        const report = record.discretionReport;
+        return calculate(record.releaseDateTime, (record.dutyMinutes || 0) / 60, getZonesCrossed(record), {
+            timeZone: record.releaseTimeZone || record.reportTimeZone || undefined,
+            discretionExtension: report ? report.usedMinutes : 0
+        });
+    }
+
     /**
      * Calculate consecutive duty day limits
      * Maximum consecutive days of duty before required time off
      */
     function calculateConsecutiveDutyLimit(currentConsecutiveDays) {
-        const MAX_CONSECUTIVE_DAYS = 7;
-        const REQUIRED_TIME_OFF = 36 * 60; // 36 hours (in minutes)
+        const MAX_CONSECUTIVE_DAYS = getRules().maxConsecutiveDutyDays;
+        const REQUIRED_TIME_OFF = getRules().consecutiveDaysTimeOff;
         
         const daysRemaining = MAX_CONSECUTIVE_DAYS - currentConsecutiveDays;
         
@@ -303,9 +595,9 @@ const RestCalculator = (function() {
      */
     function getConstants() {
         return {
-            ...REST_REQUIREMENTS,
-            TIMEZONE_ADJUSTMENTS,
-            ACCLIMATIZATION_PERIODS
+            ...getRestRequirements(),
+            TIMEZONE_ADJUSTMENTS: { ...getRules().timezoneAdjustments },
+            ACCLIMATIZATION_PERIODS: { ...getRules().acclimatizationPeriods }
         };
     }
 
@@ -313,8 +605,13 @@ const RestCalculator = (function() {
     return {
         calculate,
         checkCompliance,
+        calculateForRecord,
+        getZonesCrossed,
+        getZoneShift,
+        getDirectionalRules,
         calculateConsecutiveDutyLimit,
         getConstants,
+        getTimezoneCategory,
         timeToMinutes,
         minutesToTime,
         formatDuration
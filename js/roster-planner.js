@@ -0,0 +1,618 @@
+/**
+ * Roster Planner - What-if Legality Check for Planned Duties
+ * Based on Transport Canada CAR 700 Subpart 7 (2021 Amendments)
+ *
+ * This module checks a planned roster against the logged history:
+ * - FDP of each planned duty against its maximum
+ * - Flight time of each planned duty
+ * - Rest before each planned duty
+ * - Rolling 7/28-day duty, 28/365-day flight time and time off
+ *
+ * Each planned duty is checked at its release with the history and the
+ * duties planned before it. A limit is put down to a duty only when it is
+ * broken with the duty and not without it.
+ *
+ * It also forecasts availability: the earliest legal start of a requested
+ * duty and, day by day, the most duty and flight time still available.
+ */
+
+const RosterPlanner = (function() {
+    'use strict';
+
+    /**
+     * Columns of an imported roster (CSV), in order
+     * Zones and the release date are optional.
+     */
+    const CSV_COLUMNS = [
+        'date', 'reportTime', 'releaseTime', 'sectors', 'flightTime',
+        'reportTimeZone', 'releaseTimeZone', 'releaseDate'
+    ];
+
+    /**
+     * Turn a planned duty into a duty record with absolute timestamps
+     *
+     * @param {Object} duty - { date, reportTime, reportTimeZone, releaseDate, releaseTime,
+     *                          releaseTimeZone, sectors, positioningSectors, flightTime (hours),
+     *                          crewPilots, restFacility }
+     * @param {string} defaultZone - Zone for duties without one
+     * @returns {Object} Record, or { error }
+     */
+    function toRecord(duty, defaultZone) {
+        const reportZone = duty.reportTimeZone || defaultZone;
+        const releaseZone = duty.releaseTimeZone || reportZone;
+        if (!TimeZones.isValidZone(reportZone) || !TimeZones.isValidZone(releaseZone)) {
+            return { error: `Unknown time zone "${TimeZones.isValidZone(reportZone) ? releaseZone : reportZone}"` };
+        }
+
+        const report = TimeZones.fromZonedDateTime(duty.date, duty.reportTime, reportZone);
+        let release = TimeZones.fromZonedDateTime(duty.releaseDate || duty.date, duty.releaseTime, releaseZone);
+        if (!report || !release) {
+            return { error: 'Invalid date or time' };
+        }
+
+        // A release before report without a release date is on the next day
+        if (!duty.releaseDate && release <= report) {
+            release = new Date(release.getTime() + 24 * 60 * 60000);
+        }
+        if (release <= report) {
+            return { error: 'Release must be after report' };
+        }
+
+        const sectors = parseInt(duty.sectors, 10);
+        return {
+            id: duty.id,
+            planned: true,
+            dutyType: 'flight',
+            date: TimeZones.getZonedParts(report, reportZone).date,
+            reportDateTime: report.toISOString(),
+            reportTimeZone: reportZone,
+            reportTime: TimeZones.getZonedParts(report, reportZone).time,
+            releaseDateTime: release.toISOString(),
+            releaseTimeZone: releaseZone,
+            releaseTime: TimeZones.getZonedParts(release, releaseZone).time,
+            dutyMinutes: Math.round((release - report) / 60000),
+            flightMinutes: Math.round((parseFloat(duty.flightTime) || 0) * 60),
+            sectors: isNaN(sectors) ? 1 : sectors,
+            positioningSectors: parseInt(duty.positioningSectors, 10) || 0,
+            positioningMinutes: 0,
+            crewPilots: parseInt(duty.crewPilots, 10) || 2,
+            restFacility: duty.restFacility || null
+        };
+    }
+
+    /**
+     * Parse a roster from CSV text
+     * One duty per line: date, report, release, sectors, block hours
+     * [, report zone, release zone, release date]. A header line is skipped.
+     *
+     * @param {string} text - CSV text
+     * @returns {Object} { success, duties, errors }
+     */
+    function parseRoster(text) {
+        const duties = [];
+        const errors = [];
+
+        (text || '').split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const fields = trimmed.split(',').map(field => field.trim());
+            if (index === 0 && !/^\d{4}-\d{2}-\d{2}$/.test(fields[0])) return;
+
+            const duty = {};
+            CSV_COLUMNS.forEach((column, i) => {
+                if (fields[i]) duty[column] = fields[i];
+            });
+
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(duty.date || '') ||
+                !/^\d{1,2}:\d{2}$/.test(duty.reportTime || '') ||
+                !/^\d{1,2}:\d{2}$/.test(duty.releaseTime || '')) {
+                errors.push(`Line ${index + 1}: expected date (YYYY-MM-DD), report and release (HH:MM)`);
+                return;
+            }
+            duties.push(duty);
+        });
+
+        return { success: errors.length === 0, duties: duties, errors: errors };
+    }
+
+    const MINUTE_MS = 60000;
+    const DAY_MS = 24 * 60 * MINUTE_MS;
+
+    /**
+     * Forecast start times are on this grid (minutes)
+     */
+    const FORECAST_STEP = 15;
+
+    /**
+     * Maximum FDP of a planned duty from its report time, sectors and crew
+     */
+    function getFDP(record, history, homeZone) {
+        const acclimatization = Acclimatization.getState(history, {
+            at: record.reportDateTime,
+            zone: record.reportTimeZone,
+            homeZone: homeZone
+        });
+        const fdp = FDPCalculator.calculate(
+            record.reportDateTime,
+            String(record.sectors),
+            acclimatization.acclimatized ? 'acclimatized' : 'unacclimatized',
+            {
+                timeZone: record.reportTimeZone,
+                crew: { pilots: record.crewPilots, facility: record.restFacility },
+                positioningSectors: record.positioningSectors
+            }
+        );
+        return fdp;
+    }
+
+    /**
+     * Check a planned duty's FDP against its maximum
+     */
+    function checkFDP(record, history, homeZone) {
+        const fdp = getFDP(record, history, homeZone);
+        if (!fdp.success) {
+            return { error: fdp.error };
+        }
+
+        return ComplianceChecker.checkCurrentFDP(record.dutyMinutes, fdp.maxFDP);
+    }
+
+    /**
+     * Limits a planned duty breaks, checked for the duty itself so that an
+     * earlier duty breaking the same rule does not hide it: its own rest and
+     * flight time; the rolling limits it adds to when over; the weekly time
+     * off and days off at its release
+     *
+     * @returns {Array} [{ type, current, limit, message }]
+     */
+    function getDutyViolations(before, record, checkOptions) {
+        const violations = [];
+        const withDuty = before.concat(record);
+        const add = (type, current, limit) => violations.push({
+            type: type,
+            current: current,
+            limit: limit,
+            message: `${type}: ${current} against ${limit}`
+        });
+
+        ComplianceChecker.getRestPeriods(withDuty)
+            .filter(period => period.recordId === record.id && !period.compliant)
+            .forEach(period => add('Rest Between Duties', period.restFormatted, period.requiredFormatted));
+
+        const flightTime = ComplianceChecker.checkCurrentFlightTime(
+            ComplianceChecker.getCreditedFlightMinutes(record), ComplianceChecker.isAugmentedCrew(record));
+        if (!flightTime.compliant) {
+            add('Single Duty Flight Time', flightTime.currentFormatted, flightTime.limitFormatted);
+        }
+
+        ComplianceChecker.getRollingLimits().forEach(rollingLimit => {
+            const check = ComplianceChecker.checkRollingLimit(withDuty, rollingLimit, checkOptions);
+            if (!check.compliant &&
+                check.current > ComplianceChecker.checkRollingLimit(before, rollingLimit, checkOptions).current) {
+                add(check.name, check.currentFormatted, check.limitFormatted);
+            }
+        });
+
+        const weekly = ComplianceChecker.checkWeeklyTimeOff(withDuty, checkOptions);
+        if (!weekly.compliant) {
+            add('Weekly Time Off', weekly.currentFormatted, weekly.limitFormatted);
+        }
+        const daysOff = ComplianceChecker.checkMonthlyDaysOff(withDuty, checkOptions);
+        if (!daysOff.compliant) {
+            add('28-Day Days Off', daysOff.currentFormatted, daysOff.limitFormatted);
+        }
+
+        return violations;
+    }
+
+    /**
+     * Check a planned roster against the logged history
+     *
+     * @param {Array} history - Logged duty records
+     * @param {Array} plannedDuties - Planned duties (see toRecord)
+     * @param {Object} options - { homeZone } for acclimatization, days off and
+     *                           duties without a zone
+     * @returns {Object} { success, duties: [{ index, record, legal, violations, fdp, error }],
+     *                     illegalCount, error }
+     */
+    function checkRoster(history, plannedDuties, options = {}) {
+        const homeZone = options.homeZone || TimeZones.getBrowserZone();
+        const result = { success: false, duties: [], illegalCount: 0, error: null };
+
+        const planned = plannedDuties.map((duty, index) => {
+            const record = toRecord({ id: duty.id || `plan_${index}`, ...duty }, homeZone);
+            return { index: index, record: record };
+        });
+
+        const valid = planned
+            .filter(item => !item.record.error)
+            .sort((a, b) => new Date(a.record.reportDateTime) - new Date(b.record.reportDateTime));
+
+        // A planned duty can't start before the duty before it ends
+        let lastRelease = history.reduce((latest, record) =>
+            Math.max(latest, new Date(record.releaseDateTime).getTime() || 0), 0);
+
+        const checked = [];
+        valid.forEach(item => {
+            const record = item.record;
+            const before = history.concat(checked);
+            const checkOptions = { at: record.releaseDateTime, zone: homeZone };
+            const violations = [];
+
+            if (new Date(record.reportDateTime).getTime() < lastRelease) {
+                violations.push({ type: 'Overlap', message: 'Starts before the previous duty ends' });
+            }
+
+            violations.push(...getDutyViolations(before, record, checkOptions));
+
+            const fdp = checkFDP(record, before, homeZone);
+            if (fdp.error) {
+                violations.push({ type: 'FDP', message: fdp.error });
+            } else if (!fdp.compliant) {
+                violations.push({
+                    type: 'FDP',
+                    current: fdp.currentFormatted,
+                    limit: fdp.limitFormatted,
+                    message: `FDP: ${fdp.currentFormatted} against ${fdp.limitFormatted}`
+                });
+            }
+
+            checked.push(record);
+            lastRelease = Math.max(lastRelease, new Date(record.releaseDateTime).getTime());
+            result.duties.push({
+                index: item.index,
+                record: record,
+                legal: violations.length === 0,
+                violations: violations,
+                fdp: fdp.error ? null : fdp,
+                error: null
+            });
+        });
+
+        planned
+            .filter(item => item.record.error)
+            .forEach(item => {
+                result.duties.push({
+                    index: item.index,
+                    record: null,
+                    legal: false,
+                    violations: [],
+                    fdp: null,
+                    error: item.record.error
+                });
+            });
+
+        result.duties.sort((a, b) => a.index - b.index);
+        result.illegalCount = result.duties.filter(duty => !duty.legal).length;
+        result.success = true;
+        return result;
+    }
+
+    /**
+     * Round an instant up to the forecast grid
+     */
+    function ceilToStep(ms) {
+        const step = FORECAST_STEP * MINUTE_MS;
+        return Math.ceil(ms / step) * step;
+    }
+
+    /**
+     * Add days to a YYYY-MM-DD date
+     */
+    function addDays(dateStr, days) {
+        return new Date(Date.parse(dateStr + 'T00:00:00Z') + days * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Check a requested duty starting at an instant
+     * Rest, overlap and the single-duty flight time are checked first as
+     * they are cheap; then the rolling limits, time off and FDP at its release.
+     *
+     * @returns {Object} { legal, reason } reason names the first limit broken
+     */
+    function checkForecastStart(history, request, startMs, context) {
+        if (startMs < context.restEndMs) {
+            return { legal: false, reason: 'Rest Between Duties' };
+        }
+
+        const releaseMs = startMs + request.dutyMinutes * MINUTE_MS;
+        const overlaps = history.some(record =>
+            new Date(record.reportDateTime).getTime() < releaseMs &&
+            new Date(record.releaseDateTime).getTime() > startMs);
+        if (overlaps) {
+            return { legal: false, reason: 'Overlap' };
+        }
+
+        const record = makeForecastRecord(request, startMs, request.dutyMinutes, request.flightMinutes, context.zone);
+        const withDuty = history.concat(record);
+        const at = { at: record.releaseDateTime, zone: context.homeZone };
+
+        const broken = ComplianceChecker.getRollingLimits().find(rollingLimit =>
+            !ComplianceChecker.checkRollingLimit(withDuty, rollingLimit, at).compliant);
+        if (broken) {
+            return { legal: false, reason: broken.name };
+        }
+        if (!ComplianceChecker.checkWeeklyTimeOff(withDuty, at).compliant) {
+            return { legal: false, reason: 'Weekly Time Off' };
+        }
+        if (!ComplianceChecker.checkMonthlyDaysOff(withDuty, at).compliant) {
+            return { legal: false, reason: '28-Day Days Off' };
+        }
+
+        const fdp = checkFDP(record, history, context.homeZone);
+        if (fdp.error || !fdp.compliant) {
+            return { legal: false, reason: 'FDP' };
+        }
+
+        return { legal: true, reason: null };
+    }
+
+    /**
+     * A duty record for a forecast start
+     */
+    function makeForecastRecord(request, startMs, dutyMinutes, flightMinutes, zone) {
+        const report = new Date(startMs);
+        return {
+            id: 'forecast',
+            planned: true,
+            dutyType: 'flight',
+            date: TimeZones.getZonedParts(report, zone).date,
+            reportDateTime: report.toISOString(),
+            reportTimeZone: zone,
+            releaseDateTime: new Date(startMs + dutyMinutes * MINUTE_MS).toISOString(),
+            releaseTimeZone: zone,
+            dutyMinutes: dutyMinutes,
+            flightMinutes: flightMinutes,
+            sectors: request.sectors,
+            positioningSectors: 0,
+            positioningMinutes: 0,
+            crewPilots: request.crewPilots,
+            restFacility: request.restFacility
+        };
+    }
+
+    /**
+     * Longest FDP any report time can give the requested crew: no start can
+     * have more duty available
+     */
+    function getFDPCap(request) {
+        const augmented = FDPCalculator.getAugmentedRules();
+        const augmentedFDP = augmented && augmented.table[request.crewPilots]
+            ? augmented.table[request.crewPilots][request.restFacility] || 0
+            : 0;
+        return Math.max(FDPCalculator.MAX_FDP_ABSOLUTE, FDPCalculator.MIN_FDP_ABSOLUTE, augmentedFDP);
+    }
+
+    /**
+     * Whether a duty starting at an instant breaks any rolling limit of a metric
+     * ('duty' or 'flightTime'; any metric when not given)
+     */
+    function breaksRollingLimit(history, request, startMs, dutyMinutes, context, metric) {
+        const record = makeForecastRecord(request, startMs, dutyMinutes, metric === 'duty' ? 0 : request.flightMinutes, context.zone);
+        const withDuty = history.concat(record);
+        const at = { at: record.releaseDateTime };
+        return ComplianceChecker.getRollingLimits().some(rollingLimit =>
+            (!metric || rollingLimit.metric === metric) &&
+            !ComplianceChecker.checkRollingLimit(withDuty, rollingLimit, at).compliant);
+    }
+
+    /**
+     * First start on the forecast grid from fromMs at which a duty breaks no
+     * rolling limit, or untilMs if there is none before it
+     * With every record released by fromMs, a later start only moves the
+     * windows past older duties, so the totals only fall and the start is
+     * found by bisection.
+     */
+    function findRollingStart(fromMs, untilMs, breaks) {
+        const step = FORECAST_STEP * MINUTE_MS;
+        let low = 0;
+        let high = Math.ceil((untilMs - fromMs) / step);
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (breaks(fromMs + middle * step)) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return Math.min(fromMs + low * step, untilMs);
+    }
+
+    /**
+     * Most duty and flight time available for a duty starting at an instant
+     * Duty is bounded by the maximum FDP for that report and by every rolling
+     * duty limit at the duty's release; flight time by the single-duty limit
+     * and the rolling flight time limits.
+     *
+     * @returns {Object} { dutyMinutes, flightMinutes, limitingFactor }
+     */
+    function getAvailableAt(history, request, startMs, context) {
+        const rollingLimits = ComplianceChecker.getRollingLimits();
+        const probe = makeForecastRecord(request, startMs, 0, 0, context.zone);
+        const fdp = getFDP(probe, history, context.homeZone);
+        let maxDuty = fdp.success ? fdp.maxFDP : 0;
+        let limitingFactor = 'FDP';
+
+        // The duty limits are the only ones a longer duty can break first
+        const brokenBy = (minutes) => {
+            const withDuty = history.concat(makeForecastRecord(request, startMs, minutes, 0, context.zone));
+            const at = { at: new Date(startMs + minutes * MINUTE_MS).toISOString() };
+            return rollingLimits.find(rollingLimit => rollingLimit.metric === 'duty' &&
+                !ComplianceChecker.checkRollingLimit(withDuty, rollingLimit, at).compliant);
+        };
+
+        const brokenAtMax = brokenBy(maxDuty);
+        if (brokenAtMax) {
+            limitingFactor = brokenAtMax.name;
+            let low = 0;
+            let high = maxDuty;
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                if (brokenBy(middle)) {
+                    high = middle - 1;
+                } else {
+                    low = middle;
+                }
+            }
+            maxDuty = low;
+        }
+
+        const releaseAt = { at: new Date(startMs + maxDuty * MINUTE_MS).toISOString() };
+        const singleDuty = ComplianceChecker.checkCurrentFlightTime(0, request.crewPilots >= 3).limit;
+        const maxFlight = rollingLimits
+            .filter(rollingLimit => rollingLimit.metric === 'flightTime')
+            .reduce((available, rollingLimit) =>
+                Math.min(available, Math.max(0, ComplianceChecker.checkRollingLimit(history, rollingLimit, releaseAt).remaining)),
+            Math.min(singleDuty, maxDuty));
+
+        return { dutyMinutes: maxDuty, flightMinutes: maxDuty > 0 ? maxFlight : 0, limitingFactor: limitingFactor };
+    }
+
+    /**
+     * Forecast when a requested duty can be flown
+     * Scans forward on a 15-minute grid from `from`, so records dropping out of
+     * the rolling windows and the rest owed after the last logged duty are
+     * both taken into account.
+     *
+     * @param {Array} history - Logged duty records
+     * @param {Object} request - { dutyMinutes, flightMinutes, sectors, crewPilots,
+     *                            restFacility } (an augmented crew's rest facility)
+     * @param {Object} options - { from } start of the forecast (default: now),
+     *                           { days } days to forecast (default 14),
+     *                           { homeZone } home base for days and acclimatization,
+     *                           { zone } report zone of the duty (default: home base)
+     * @returns {Object} { success, earliestStart, reason, days: [{ date, earliestStart,
+     *                     restEnds, maxDutyStart, maxDutyMinutes, maxFlightMinutes,
+     *                     limitingFactor, reason }], error }
+     */
+    function forecastAvailability(history, request, options = {}) {
+        const homeZone = options.homeZone || TimeZones.getBrowserZone();
+        const duty = {
+            dutyMinutes: Math.round(request.dutyMinutes),
+            flightMinutes: Math.round(request.flightMinutes || 0),
+            sectors: parseInt(request.sectors, 10) || 2,
+            crewPilots: parseInt(request.crewPilots, 10) || 2,
+            restFacility: request.restFacility || null
+        };
+
+        if (!(duty.dutyMinutes > 0)) {
+            return { success: false, error: 'Enter the duty length' };
+        }
+        if (duty.flightMinutes > duty.dutyMinutes) {
+            return { success: false, error: 'Flight time cannot be longer than the duty' };
+        }
+        const flightCheck = ComplianceChecker.checkCurrentFlightTime(duty.flightMinutes, duty.crewPilots >= 3);
+        if (!flightCheck.compliant) {
+            return {
+                success: false,
+                error: `Flight time is over the ${flightCheck.limitFormatted} limit for a single duty`
+            };
+        }
+
+        const records = history.filter(record => record.reportDateTime && record.releaseDateTime);
+        const fromMs = ceilToStep(options.from ? new Date(options.from).getTime() : Date.now());
+        const dayCount = options.days || 14;
+
+        // Rest owed after the last duty reported before the forecast starts
+        const probe = makeForecastRecord(duty, fromMs + dayCount * DAY_MS, 0, 0, homeZone);
+        const restPeriod = ComplianceChecker.getRestPeriods(records.concat(probe))
+            .find(period => period.recordId === probe.id);
+        const restEndMs = restPeriod
+            ? new Date(probe.reportDateTime).getTime() - (restPeriod.restMinutes - restPeriod.required) * MINUTE_MS
+            : fromMs;
+
+        const context = { homeZone: homeZone, zone: options.zone || homeZone, restEndMs: restEndMs };
+        const fdpCap = getFDPCap(duty);
+        const lastReleaseMs = records.reduce((latest, record) =>
+            Math.max(latest, new Date(record.releaseDateTime).getTime()), 0);
+        const result = { success: true, earliestStart: null, reason: null, days: [], error: null };
+        const firstDate = TimeZones.getZonedParts(new Date(fromMs), homeZone).date;
+
+        for (let i = 0; i < dayCount; i++) {
+            const date = addDays(firstDate, i);
+            const dayStartMs = TimeZones.fromZonedDateTime(date, '00:00', homeZone).getTime();
+            const dayEndMs = TimeZones.fromZonedDateTime(addDays(date, 1), '00:00', homeZone).getTime();
+            const firstStartMs = ceilToStep(Math.max(dayStartMs, fromMs, restEndMs));
+            const day = {
+                date: date,
+                earliestStart: null,
+                restEnds: restEndMs > dayStartMs && restEndMs < dayEndMs ? new Date(restEndMs).toISOString() : null,
+                maxDutyStart: null,
+                maxDutyMinutes: 0,
+                maxFlightMinutes: 0,
+                limitingFactor: 'Rest Between Duties',
+                reason: 'Rest Between Duties'
+            };
+
+            if (firstStartMs < dayEndMs) {
+                // Starts the rolling limits rule out are skipped, for the duty
+                // asked for and for any duty at all
+                const bisect = lastReleaseMs <= firstStartMs;
+                const rollingStartMs = bisect ? findRollingStart(firstStartMs, dayEndMs, startMs =>
+                    breaksRollingLimit(records, duty, startMs, duty.dutyMinutes, context)) : firstStartMs;
+                const anyDutyStartMs = bisect ? findRollingStart(firstStartMs, dayEndMs, startMs =>
+                    breaksRollingLimit(records, duty, startMs, 0, context, 'duty')) : firstStartMs;
+
+                for (let startMs = firstStartMs; startMs < dayEndMs;
+                    startMs = Math.max(startMs + FORECAST_STEP * MINUTE_MS, rollingStartMs)) {
+                    const check = checkForecastStart(records, duty, startMs, context);
+                    if (check.legal) {
+                        day.earliestStart = new Date(startMs).toISOString();
+                        day.reason = null;
+                        break;
+                    }
+                    if (startMs === firstStartMs) day.reason = check.reason;
+                }
+
+                // The most available from any start that day: tried on the hour
+                // and at the earliest legal start
+                const starts = [];
+                for (let startMs = firstStartMs; startMs < dayEndMs;
+                    startMs = Math.floor(startMs / (60 * MINUTE_MS)) * 60 * MINUTE_MS + 60 * MINUTE_MS) {
+                    starts.push(startMs);
+                }
+                if (day.earliestStart) starts.push(new Date(day.earliestStart).getTime());
+
+                // No duty fits before anyDutyStartMs (the first start still gives
+                // the limiting factor), and none is longer than the FDP cap
+                for (const startMs of starts) {
+                    if (day.maxDutyMinutes >= fdpCap) break;
+                    if (startMs !== firstStartMs && startMs < anyDutyStartMs) continue;
+
+                    const available = getAvailableAt(records, duty, startMs, context);
+                    if (!day.maxDutyStart || available.dutyMinutes > day.maxDutyMinutes) {
+                        day.maxDutyStart = new Date(startMs).toISOString();
+                        day.maxDutyMinutes = available.dutyMinutes;
+                        day.maxFlightMinutes = available.flightMinutes;
+                        day.limitingFactor = available.limitingFactor;
+                    }
+                }
+            }
+
+            if (i === 0) {
+                result.reason = checkForecastStart(records, duty, fromMs, context).reason;
+            }
+            if (!result.earliestStart && day.earliestStart) {
+                result.earliestStart = day.earliestStart;
+            }
+            result.days.push(day);
+        }
+
+        return result;
+    }
+
+    // Public API
+    return {
+        toRecord,
+        parseRoster,
+        checkRoster,
+        forecastAvailability,
+        CSV_COLUMNS
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RosterPlanner;
+}
@@ -0,0 +1,612 @@
+/**
+ * Rule Packs - Versioned Regulatory Limit Sets
+ * Based on Transport Canada CAR 700 Subpart 7 (2021 Amendments)
+ *
+ * This module holds the regulatory values used by the calculators:
+ * - FDP table, acclimatization reduction and WOCL definition
+ * - Rest requirements and time zone adjustments
+ * - Cumulative duty, flight time and rest limits
+ * - Rolling windows checked on the dashboard
+ *
+ * A rule pack is a plain JSON document, so an operator can load the
+ * values approved in its Operations Manual and several amendments can
+ * be kept side by side. Exactly one pack is active at a time.
+ */
+
+const RulePacks = (function() {
+    'use strict';
+
+    /**
+     * Rule pack format version understood by this module
+     */
+    const SCHEMA_VERSION = 1;
+
+    /**
+     * Identifier of the built-in pack used when nothing else is selected
+     */
+    const DEFAULT_PACK_ID = 'car700-2021';
+
+    /**
+     * Built-in CAR 700 Subpart 7 pack (2021 Amendments)
+     * All durations in minutes unless otherwise noted
+     */
+    const CAR700_2021 = {
+        schemaVersion: SCHEMA_VERSION,
+        id: DEFAULT_PACK_ID,
+        name: 'CAR 700 Subpart 7 (2021 Amendments)',
+        version: '2021',
+        authority: 'Transport Canada',
+        builtIn: true,
+
+        fdp: {
+            // CAR 700.27 - reportTimeRange -> sectorRange -> maxFDP
+            table: {
+                '0600-0659': { '1-2': 780, '3-4': 750, '5+': 720 },
+                '0700-1159': { '1-2': 840, '3-4': 810, '5+': 780 },
+                '1200-1359': { '1-2': 780, '3-4': 750, '5+': 720 },
+                '1400-1759': { '1-2': 720, '3-4': 690, '5+': 660 },
+                '1800-2159': { '1-2': 660, '3-4': 630, '5+': 600 },
+                '2200-0559': { '1-2': 600, '3-4': 570, '5+': 540 }
+            },
+            unacclimatizedReduction: 60,
+            maxFdp: 840,
+            minFdp: 540,
+            // Window of Circadian Low, local time at place of departure (minutes
+            // after midnight, start before end: it may not cross midnight). A pack may
+            // add wocl.reduction { startsIn, endsIn, max }: the FDP is reduced by
+            // startsIn x the WOCL overlap when it starts in the WOCL, or endsIn x
+            // the overlap when it ends in or spans it, up to max. CAR 700 has none;
+            // its table already shortens FDPs that report at night.
+            wocl: { start: 120, end: 360 },
+            // CAR 700.52 - split flight duty period: a ground break of at least
+            // minBreak extends the FDP by credit x (break - deduction), where
+            // deduction covers post/pre-flight duties and travel. Breaks in
+            // accommodations with excludeWocl do not count their WOCL portion.
+            splitDuty: {
+                minBreak: 180,
+                deduction: 30,
+                accommodations: {
+                    suitable: { name: 'Suitable accommodation', credit: 1, excludeWocl: false },
+                    'rest-facility': { name: 'Rest facility (no bed)', credit: 0.5, excludeWocl: true }
+                }
+            },
+            // CAR 700.63 - pilot-in-command discretion for unforeseen operational
+            // circumstances; the following rest grows by restIncreaseFactor x extension used
+            discretion: {
+                maxExtension: 180,
+                restIncreaseFactor: 1
+            },
+            // Delayed reporting time: with at least minNotice before the original
+            // report, the FDP starts at the delayed report. Delays under shortDelay
+            // keep the original report's limit, longer ones take the more limiting
+            // of the two, and from restDelay on the delayed report's limit applies.
+            delayedReporting: {
+                minNotice: 60,
+                shortDelay: 240,
+                restDelay: 600
+            },
+            // CAR 700.53 - augmented flight crew: pilots -> rest facility class -> maxFDP
+            // Crews smaller than the lowest pilot count use the standard table.
+            augmented: {
+                facilities: {
+                    'class-1': { name: 'Class 1 (bunk)' },
+                    'class-2': { name: 'Class 2 (lie-flat seat)' },
+                    'class-3': { name: 'Class 3 (reclining seat)' }
+                },
+                table: {
+                    '3': { 'class-1': 960, 'class-2': 900, 'class-3': 840 },
+                    '4': { 'class-1': 1020, 'class-2': 960, 'class-3': 900 }
+                }
+            }
+        },
+
+        rest: {
+            // CAR 700.28
+            standardMin: 600,
+            extendedDutyMin: 720,
+            extendedDutyThreshold: 720,
+            veryLongDutyMin: 840,
+            veryLongDutyThreshold: 840,
+            minSleepOpportunity: 480,
+            recommendedMultiplier: 1.25,
+            timezoneAdjustments: { '0-2': 0, '3-4': 60, '5+': 120 },
+            // Hours needed to become acclimatized
+            acclimatizationPeriods: { '0-2': 0, '3-4': 48, '5+': 72 },
+            // A pack may add directional { east, west }, each with its own
+            // timezoneAdjustments and/or acclimatizationPeriods by category, for
+            // eastward or westward travel. CAR 700 does not tell them apart.
+            maxConsecutiveDutyDays: 7,
+            consecutiveDaysTimeOff: 2160
+        },
+
+        limits: {
+            // CAR 700.16/700.19
+            fdpMax: 840,
+            fdpMin: 540,
+            flightTimeSingleDuty: 480,
+            flightTimeAugmented: 780,
+            flightTime28Day: 6720,
+            flightTime90Day: 18000,
+            flightTime365Day: 60000,
+            duty7Day: 3600,
+            duty28Day: 11400,
+            duty365Day: 96000,
+            restWeekly: 2160,
+            restMonthly: 5760
+        },
+
+        // Rolling limits checked on the dashboard, in display order. Each
+        // totals a metric ('duty' or 'flightTime') over the last `days` x 24
+        // hours against limits[id]. A pack that lists rollingLimits replaces
+        // the whole list.
+        rollingLimits: [
+            { id: 'duty7Day', name: '7-Day Duty', metric: 'duty', days: 7 },
+            { id: 'duty28Day', name: '28-Day Duty', metric: 'duty', days: 28 },
+            { id: 'duty365Day', name: 'Annual Duty', metric: 'duty', days: 365 },
+            { id: 'flightTime28Day', name: '28-Day Flight Time', metric: 'flightTime', days: 28 },
+            { id: 'flightTime90Day', name: '90-Day Flight Time', metric: 'flightTime', days: 90 },
+            { id: 'flightTime365Day', name: 'Annual Flight Time', metric: 'flightTime', days: 365 }
+        ],
+
+        standby: {
+            // CAR 700 standby and reserve. dutyCredit is the share of
+            // standby time counted toward cumulative duty totals; standby beyond
+            // fdpReductionAfter reduces the FDP of a following call-out by
+            // fdpReductionFactor x the excess (null = no reduction).
+            types: {
+                'home-standby': {
+                    name: 'Home standby',
+                    dutyCredit: 0.25,
+                    fdpReductionAfter: 360,
+                    fdpReductionFactor: 1
+                },
+                'airport-standby': {
+                    name: 'Airport standby',
+                    dutyCredit: 1,
+                    fdpReductionAfter: 240,
+                    fdpReductionFactor: 1
+                },
+                reserve: {
+                    name: 'Reserve',
+                    dutyCredit: 0,
+                    fdpReductionAfter: null,
+                    fdpReductionFactor: 0
+                }
+            }
+        },
+
+        positioning: {
+            // Positioning (deadhead) is always part of the FDP and duty period;
+            // these say whether it also counts as a sector or as flight time
+            countsAsSector: false,
+            countsAsFlightTime: false
+        }
+    };
+
+    /**
+     * Keys every pack section must provide
+     */
+    const REQUIRED_FIELDS = {
+        fdp: ['table', 'unacclimatizedReduction', 'maxFdp', 'minFdp', 'wocl'],
+        rest: [
+            'standardMin', 'extendedDutyMin', 'extendedDutyThreshold',
+            'veryLongDutyMin', 'veryLongDutyThreshold', 'minSleepOpportunity',
+            'recommendedMultiplier', 'timezoneAdjustments', 'acclimatizationPeriods',
+            'maxConsecutiveDutyDays', 'consecutiveDaysTimeOff'
+        ],
+        limits: [
+            'fdpMax', 'fdpMin', 'flightTimeSingleDuty', 'flightTimeAugmented',
+            'flightTime28Day', 'flightTime90Day', 'flightTime365Day', 'duty7Day', 'duty28Day',
+            'duty365Day', 'restWeekly', 'restMonthly'
+        ]
+    };
+
+    /**
+     * Registered packs by ID, and the active pack ID
+     */
+    const packs = {};
+    let activePackId = DEFAULT_PACK_ID;
+
+    /**
+     * Deep copy a JSON-compatible value
+     */
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Merge an overriding pack section into a base section
+     */
+    function deepMerge(base, overrides) {
+        const merged = { ...base };
+
+        Object.keys(overrides).forEach(key => {
+            const value = overrides[key];
+            const baseValue = base[key];
+
+            if (value && typeof value === 'object' && !Array.isArray(value) &&
+                baseValue && typeof baseValue === 'object' && !Array.isArray(baseValue)) {
+                merged[key] = deepMerge(baseValue, value);
+            } else {
+                merged[key] = value;
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Check that a value is a non-negative number
+     */
+    function isDuration(value) {
+        return typeof value === 'number' && isFinite(value) && value >= 0;
+    }
+
+    /**
+     * Validate a complete rule pack
+     *
+     * @param {Object} pack - Rule pack object
+     * @returns {Object} Validation result with list of errors
+     */
+    function validate(pack) {
+        const errors = [];
+
+        if (!pack || typeof pack !== 'object') {
+            return { valid: false, errors: ['Rule pack must be an object'] };
+        }
+
+        if (pack.schemaVersion !== SCHEMA_VERSION) {
+            errors.push(`Unsupported schemaVersion (expected ${SCHEMA_VERSION})`);
+        }
+        if (!pack.id || typeof pack.id !== 'string') {
+            errors.push('Missing pack id');
+        }
+        if (!pack.name || typeof pack.name !== 'string') {
+            errors.push('Missing pack name');
+        }
+        if (!pack.version) {
+            errors.push('Missing pack version');
+        }
+
+        Object.keys(REQUIRED_FIELDS).forEach(section => {
+            if (!pack[section] || typeof pack[section] !== 'object') {
+                errors.push(`Missing "${section}" section`);
+                return;
+            }
+            REQUIRED_FIELDS[section].forEach(field => {
+                if (pack[section][field] === undefined) {
+                    errors.push(`Missing ${section}.${field}`);
+                }
+            });
+        });
+
+        if (errors.length > 0) {
+            return { valid: false, errors: errors };
+        }
+
+        // FDP table rows must all cover the same sector ranges
+        const rows = Object.keys(pack.fdp.table);
+        if (rows.length === 0) {
+            errors.push('fdp.table has no report time ranges');
+        } else {
+            const sectorRanges = Object.keys(pack.fdp.table[rows[0]]);
+            rows.forEach(row => {
+                if (!/^\d{4}-\d{4}$/.test(row)) {
+                    errors.push(`Invalid report time range "${row}" (expected HHMM-HHMM)`);
+                }
+                sectorRanges.forEach(range => {
+                    if (!isDuration(pack.fdp.table[row][range])) {
+                        errors.push(`Invalid FDP value for ${row} / ${range}`);
+                    }
+                });
+            });
+            sectorRanges.forEach(range => {
+                if (!/^\d+(-\d+|\+)$/.test(range)) {
+                    errors.push(`Invalid sector range "${range}" (expected N-M or N+)`);
+                }
+            });
+        }
+
+        if (!isDuration(pack.fdp.wocl.start) || !isDuration(pack.fdp.wocl.end)) {
+            errors.push('Invalid fdp.wocl start/end');
+        } else if (pack.fdp.wocl.start >= pack.fdp.wocl.end || pack.fdp.wocl.end > 1440) {
+            // The WOCL overlap checks assume the window does not cross midnight
+            errors.push('fdp.wocl must start before it ends, within one day (0-1440 minutes)');
+        }
+
+        // Optional WOCL encroachment reduction
+        const woclReduction = pack.fdp.wocl.reduction;
+        if (woclReduction !== undefined &&
+            (!isDuration(woclReduction.startsIn) || !isDuration(woclReduction.endsIn) ||
+             !isDuration(woclReduction.max))) {
+            errors.push('Invalid fdp.wocl.reduction startsIn/endsIn/max');
+        }
+
+        // Optional augmented crew limits
+        const augmented = pack.fdp.augmented;
+        if (augmented !== undefined) {
+            const facilities = augmented.facilities ? Object.keys(augmented.facilities) : [];
+            if (facilities.length === 0) {
+                errors.push('fdp.augmented needs at least one rest facility class');
+            }
+            Object.keys(augmented.table || {}).forEach(pilots => {
+                if (!/^\d+$/.test(pilots) || parseInt(pilots, 10) < 3) {
+                    errors.push(`Invalid augmented crew size "${pilots}" (expected 3 or more pilots)`);
+                }
+                facilities.forEach(facility => {
+                    if (!isDuration(augmented.table[pilots][facility])) {
+                        errors.push(`Invalid augmented FDP for ${pilots} pilots / ${facility}`);
+                    }
+                });
+            });
+        }
+
+        // Optional PIC discretion rules
+        const discretion = pack.fdp.discretion;
+        if (discretion !== undefined &&
+            (!isDuration(discretion.maxExtension) || !isDuration(discretion.restIncreaseFactor))) {
+            errors.push('Invalid fdp.discretion maxExtension/restIncreaseFactor');
+        }
+
+        // Optional delayed reporting rules
+        const delayedReporting = pack.fdp.delayedReporting;
+        if (delayedReporting !== undefined &&
+            (!isDuration(delayedReporting.minNotice) || !isDuration(delayedReporting.shortDelay) ||
+             !isDuration(delayedReporting.restDelay) || delayedReporting.restDelay < delayedReporting.shortDelay)) {
+            errors.push('Invalid fdp.delayedReporting minNotice/shortDelay/restDelay');
+        }
+
+        // Optional standby and reserve duty types
+        if (pack.standby !== undefined) {
+            const types = pack.standby.types || {};
+            if (Object.keys(types).length === 0) {
+                errors.push('standby needs at least one duty type');
+            }
+            Object.keys(types).forEach(type => {
+                const standbyType = types[type];
+                if (type === 'flight') {
+                    errors.push('"flight" is reserved for flying duties');
+                } else if (!standbyType || !standbyType.name || !isDuration(standbyType.dutyCredit) ||
+                    standbyType.dutyCredit > 1) {
+                    errors.push(`Standby type "${type}" needs a name and a dutyCredit between 0 and 1`);
+                } else if (standbyType.fdpReductionAfter !== null &&
+                    (!isDuration(standbyType.fdpReductionAfter) || !isDuration(standbyType.fdpReductionFactor))) {
+                    errors.push(`Invalid FDP reduction for standby type "${type}"`);
+                }
+            });
+        }
+
+        // Optional positioning rules
+        if (pack.positioning !== undefined) {
+            if (typeof pack.positioning.countsAsSector !== 'boolean' ||
+                typeof pack.positioning.countsAsFlightTime !== 'boolean') {
+                errors.push('positioning needs countsAsSector and countsAsFlightTime (true/false)');
+            }
+        }
+
+        // Optional split duty rules
+        const splitDuty = pack.fdp.splitDuty;
+        if (splitDuty !== undefined) {
+            if (!isDuration(splitDuty.minBreak) || !isDuration(splitDuty.deduction)) {
+                errors.push('Invalid fdp.splitDuty minBreak/deduction');
+            }
+            if (!splitDuty.accommodations || Object.keys(splitDuty.accommodations).length === 0) {
+                errors.push('fdp.splitDuty needs at least one accommodation type');
+            } else {
+                Object.keys(splitDuty.accommodations).forEach(type => {
+                    const accommodation = splitDuty.accommodations[type];
+                    if (!accommodation || !isDuration(accommodation.credit) || accommodation.credit > 1) {
+                        errors.push(`Invalid credit for split duty accommodation "${type}" (expected 0-1)`);
+                    }
+                });
+            }
+        }
+
+        const zoneCategories = Object.keys(pack.rest.timezoneAdjustments);
+        zoneCategories.forEach(category => {
+            if (!/^\d+(-\d+|\+)$/.test(category)) {
+                errors.push(`Invalid time zone category "${category}" (expected N-M or N+)`);
+            }
+            if (!isDuration(pack.rest.timezoneAdjustments[category]) ||
+                !isDuration(pack.rest.acclimatizationPeriods[category])) {
+                errors.push(`Time zone category "${category}" needs an adjustment and an acclimatization period`);
+            }
+        });
+
+        const directional = pack.rest.directional;
+        if (directional !== undefined) {
+            Object.keys(directional).forEach(direction => {
+                if (direction !== 'east' && direction !== 'west') {
+                    errors.push(`Unknown rest.directional direction "${direction}" (expected east or west)`);
+                    return;
+                }
+                ['timezoneAdjustments', 'acclimatizationPeriods'].forEach(table => {
+                    const values = directional[direction][table] || {};
+                    Object.keys(values).forEach(category => {
+                        if (!zoneCategories.includes(category) || !isDuration(values[category])) {
+                            errors.push(`Invalid rest.directional.${direction}.${table} "${category}"`);
+                        }
+                    });
+                });
+            });
+        }
+
+        // Limits are shown as a share of the limit, so none may be zero
+        REQUIRED_FIELDS.limits.forEach(field => {
+            if (!isDuration(pack.limits[field]) || pack.limits[field] === 0) {
+                errors.push(`Invalid limits.${field} (expected more than 0 minutes)`);
+            }
+        });
+
+        // Rolling limits (a pack that extends another inherits its list)
+        const rollingLimits = pack.rollingLimits;
+        if (rollingLimits === undefined) {
+            errors.push('Missing "rollingLimits" list');
+        } else if (!Array.isArray(rollingLimits) || rollingLimits.length === 0) {
+            errors.push('rollingLimits must list at least one limit');
+        } else {
+            const ids = new Set();
+            rollingLimits.forEach((rollingLimit, index) => {
+                const id = rollingLimit && rollingLimit.id;
+                if (!id || !rollingLimit.name || ids.has(id)) {
+                    errors.push(`Rolling limit ${index + 1} needs a name and a unique id`);
+                } else if (!isDuration(pack.limits[id]) || pack.limits[id] === 0) {
+                    errors.push(`Rolling limit "${id}" needs a value above 0 in limits.${id}`);
+                }
+                if (rollingLimit && rollingLimit.metric !== 'duty' && rollingLimit.metric !== 'flightTime') {
+                    errors.push(`Invalid metric for rolling limit "${id}" (expected duty or flightTime)`);
+                }
+                if (rollingLimit && !(Number.isInteger(rollingLimit.days) && rollingLimit.days > 0)) {
+                    errors.push(`Invalid days for rolling limit "${id}" (expected a whole number of days)`);
+                }
+                ids.add(id);
+            });
+        }
+
+        return { valid: errors.length === 0, errors: errors };
+    }
+
+    /**
+     * Register a rule pack
+     * A pack may name another pack in "extends" and only list the values it changes.
+     *
+     * @param {Object} pack - Rule pack object
+     * @returns {Object} Result with success status and the resolved pack
+     */
+    function register(pack) {
+        if (!pack || typeof pack !== 'object') {
+            return { success: false, error: 'Rule pack must be an object' };
+        }
+
+        let resolved = clone(pack);
+
+        if (pack.extends) {
+            const base = packs[pack.extends];
+            if (!base) {
+                return { success: false, error: `Unknown base pack "${pack.extends}"` };
+            }
+            resolved = deepMerge(clone(base), resolved);
+        }
+        resolved.builtIn = false;
+
+        const validation = validate(resolved);
+        if (!validation.valid) {
+            return { success: false, error: validation.errors.join('; ') };
+        }
+
+        if (packs[resolved.id] && packs[resolved.id].builtIn) {
+            return { success: false, error: `Cannot replace built-in pack "${resolved.id}"` };
+        }
+
+        packs[resolved.id] = resolved;
+
+        return { success: true, pack: clone(resolved) };
+    }
+
+    /**
+     * Register a rule pack from a JSON string
+     *
+     * @param {string} jsonString - Rule pack JSON
+     * @returns {Object} Result with success status
+     */
+    function loadFromJSON(jsonString) {
+        try {
+            return register(JSON.parse(jsonString));
+        } catch (e) {
+            return { success: false, error: 'Invalid JSON format: ' + e.message };
+        }
+    }
+
+    /**
+     * Remove a user-supplied rule pack
+     * Falls back to the default pack if the removed pack was active
+     */
+    function unregister(id) {
+        if (!packs[id] || packs[id].builtIn) return false;
+
+        delete packs[id];
+        if (activePackId === id) {
+            activePackId = DEFAULT_PACK_ID;
+        }
+        return true;
+    }
+
+    /**
+     * Select the active rule pack
+     *
+     * @param {string} id - Pack ID
+     * @returns {boolean} Whether the pack exists and is now active
+     */
+    function setActive(id) {
+        if (!packs[id]) return false;
+        activePackId = id;
+        return true;
+    }
+
+    /**
+     * Get the active rule pack
+     * Callers must treat the returned object as read-only.
+     */
+    function getActive() {
+        return packs[activePackId] || packs[DEFAULT_PACK_ID];
+    }
+
+    /**
+     * Get the active rule pack ID
+     */
+    function getActiveId() {
+        return getActive().id;
+    }
+
+    /**
+     * Get a copy of a registered pack
+     */
+    function get(id) {
+        return packs[id] ? clone(packs[id]) : null;
+    }
+
+    /**
+     * List registered packs for a selector
+     */
+    function list() {
+        return Object.keys(packs).map(id => ({
+            id: id,
+            name: packs[id].name,
+            version: packs[id].version,
+            builtIn: !!packs[id].builtIn
+        }));
+    }
+
+    /**
+     * Get user-supplied packs for persistence
+     */
+    function getCustomPacks() {
+        return Object.keys(packs)
+            .filter(id => !packs[id].builtIn)
+            .map(id => clone(packs[id]));
+    }
+
+    // Built-in packs
+    packs[CAR700_2021.id] = CAR700_2021;
+
+    // Public API
+    return {
+        register,
+        loadFromJSON,
+        unregister,
+        validate,
+        setActive,
+        getActive,
+        getActiveId,
+        get,
+        list,
+        getCustomPacks,
+        SCHEMA_VERSION,
+        DEFAULT_PACK_ID
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RulePacks;
+}
@@ -1,6 +1,6 @@
 /**
  * Storage Manager - LocalStorage Management for Duty Records
- * Handles persistence of duty history and user preferences
+ * Handles persistence of duty history, user preferences and rule packs
  */
 
 const StorageManager = (function() {
@@ -13,7 +13,11 @@ const StorageManager = (function() {
         DUTY_RECORDS: 'acp700_duty_records',
         PREFERENCES: 'acp700_preferences',
         LAST_SYNC: 'acp700_last_sync',
-        ACTIVE_DUTY: 'acp700_active_duty'
+        ACTIVE_DUTY: 'acp700_active_duty',
+        ACTIVE_REST: 'acp700_active_rest',
+        RULE_PACKS: 'acp700_rule_packs',
+        ROSTER_PLAN: 'acp700_roster_plan',
+        AUDIT_LOG: 'acp700_audit_log'
     };
 
     /**
@@ -23,9 +27,15 @@ const StorageManager = (function() {
         defaultSectors: 2,
         defaultAcclimatization: 'acclimatized',
         showZuluTime: true,
-        warningThreshold: 85,
-        dangerThreshold: 95,
-        theme: 'dark'
+        warningThreshold: 85,   // % of a limit for caution
+        dangerThreshold: 95,    // % of a limit for danger
+        thresholds: {           // By limit type or rolling limit id
+            fdp: { warning: 75, danger: 90 }
+        },
+        theme: 'dark',
+        activeRulePack: 'car700-2021',
+        homeBase: null,         // IANA zone; null = browser's zone
+        currentZone: null       // IANA zone where the pilot is now; null = home base
     };
 
     /**
@@ -33,6 +43,11 @@ const StorageManager = (function() {
      */
     const MAX_RECORDS = 500;
 
+    /**
+     * Maximum audit log entries kept (newest first)
+     */
+    const MAX_AUDIT_ENTRIES = 1000;
+
     /**
      * Check if localStorage is available
      */
@@ -70,18 +85,36 @@ const StorageManager = (function() {
                 return [];
             }
             
-            // Sort by date descending (most recent first)
-            return records.sort((a, b) => {
-                const dateA = new Date(a.date);
-                const dateB = new Date(b.date);
+            // Sort by report date-time descending (most recent first)
+            records.sort((a, b) => {
+                const dateA = new Date(a.reportDateTime);
+                const dateB = new Date(b.reportDateTime);
                 return dateB - dateA;
             });
+            
+            return records;
         } catch (e) {
             console.error('Error reading duty records:', e);
             return [];
         }
     }
 
+    /**
+     * Give records saved before absolute timestamps existed their timestamps,
+     * and save them; run once at startup
+     * 
+     * @returns {Object} { success, migrated: number of records changed }
+     */
+    function migrateDutyRecords() {
+        const records = getDutyRecords();
+        const migrated = records.filter(migrateLegacyRecord).length;
+        if (migrated === 0) {
+            return { success: true, migrated: 0 };
+        }
+        
+        return { success: saveDutyRecords(records), migrated: migrated };
+    }
+
     /**
      * Save duty records to storage
      * 
@@ -124,40 +157,45 @@ const StorageManager = (function() {
     /**
      * Add a new duty record
      * 
+     * Times may be given as absolute ISO timestamps (reportDateTime,
+     * releaseDateTime) or as local date + HH:MM pairs (date, reportTime,
+     * releaseDate, releaseTime). releaseDate defaults to the report date.
+     * Local pairs are read in reportTimeZone / releaseTimeZone (IANA),
+     * defaulting to the browser's zone.
+     * 
      * @param {Object} record - Duty record object
      * @returns {Object} Result with success status and record ID
      */
     function addDutyRecord(record) {
-        // Validate required fields
-        if (!record.date || !record.reportTime || !record.releaseTime) {
+        const times = resolveDutyTimes(record);
+        if (times.error) {
             return {
                 success: false,
-                error: 'Missing required fields (date, reportTime, releaseTime)'
+                error: times.error
             };
         }
 
         // Generate unique ID
         const id = generateId();
         
-        // Calculate duty time in minutes
-        const reportMinutes = timeToMinutes(record.reportTime);
-        const releaseMinutes = timeToMinutes(record.releaseTime);
-        
-        let dutyMinutes = releaseMinutes - reportMinutes;
-        if (dutyMinutes < 0) dutyMinutes += 1440; // Handle overnight duty
-        
-        // Parse flight time
-        const flightMinutes = Math.round((parseFloat(record.flightTime) || 0) * 60);
+        // Parse flight time (standby and reserve records have none)
+        const dutyType = record.dutyType || 'flight';
+        const flightMinutes = dutyType === 'flight' ? Math.round((parseFloat(record.flightTime) || 0) * 60) : 0;
         
         // Create normalized record
         const normalizedRecord = {
             id: id,
-            date: record.date,
-            reportTime: record.reportTime,
-            releaseTime: record.releaseTime,
-            dutyMinutes: dutyMinutes,
+            ...describeDutyTimes(times),
+            dutyType: dutyType,
+            precedingStandby: record.precedingStandby || null,
+            delayedReporting: record.delayedReporting || null,
             flightMinutes: flightMinutes,
-            sectors: record.sectors || 1,
+            sectors: isNaN(parseInt(record.sectors, 10)) ? 1 : parseInt(record.sectors, 10),
+            positioningSectors: parseInt(record.positioningSectors, 10) || 0,
+            positioningMinutes: Math.round((parseFloat(record.positioningTime) || 0) * 60),
+            crewPilots: parseInt(record.crewPilots, 10) || 2,
+            restFacility: record.restFacility || null,
+            discretionReport: record.discretionReport || null,
             notes: record.notes || '',
             createdAt: new Date().toISOString()
         };
@@ -193,28 +231,49 @@ const StorageManager = (function() {
             };
         }
 
-        // Apply updates
-        records[index] = {
+        const updated = {
             ...records[index],
             ...updates,
             updatedAt: new Date().toISOString()
         };
 
-        // Recalculate duty minutes if times changed
-        if (updates.reportTime || updates.releaseTime) {
-            const reportMinutes = timeToMinutes(records[index].reportTime);
-            const releaseMinutes = timeToMinutes(records[index].releaseTime);
-            
-            let dutyMinutes = releaseMinutes - reportMinutes;
-            if (dutyMinutes < 0) dutyMinutes += 1440;
-            
-            records[index].dutyMinutes = dutyMinutes;
+        // A new report date moves the release date with it, keeping the duty's span of days
+        if (updates.date !== undefined && updates.releaseDate === undefined && records[index].releaseDate) {
+            updated.releaseDate = addDays(records[index].releaseDate,
+                TimeZones.daysBetween(records[index].date, updates.date));
+        }
+
+        // Recalculate absolute times and duty minutes if times changed
+        const timeFields = ['date', 'reportTime', 'releaseDate', 'releaseTime', 'reportTimeZone', 'releaseTimeZone'];
+        if (!updates.reportDateTime && !updates.releaseDateTime &&
+            timeFields.some(field => updates[field] !== undefined)) {
+            delete updated.reportDateTime;
+            delete updated.releaseDateTime;
         }
 
+        const times = resolveDutyTimes(updated);
+        if (times.error) {
+            return {
+                success: false,
+                error: times.error
+            };
+        }
+        
+        records[index] = {
+            ...updated,
+            ...describeDutyTimes(times)
+        };
+
         // Recalculate flight minutes if flight time changed
         if (updates.flightTime !== undefined) {
             records[index].flightMinutes = Math.round((parseFloat(updates.flightTime) || 0) * 60);
         }
+        if (updates.positioningTime !== undefined) {
+            records[index].positioningMinutes = Math.round((parseFloat(updates.positioningTime) || 0) * 60);
+        }
+        if ((records[index].dutyType || 'flight') !== 'flight') {
+            records[index].flightMinutes = 0;
+        }
 
         const success = saveDutyRecords(records);
         
@@ -275,21 +334,35 @@ const StorageManager = (function() {
      */
     function getPreferences() {
         if (!isStorageAvailable()) {
-            return { ...DEFAULT_PREFERENCES };
+            return getDefaultPreferences();
         }
 
         try {
             const data = localStorage.getItem(KEYS.PREFERENCES);
-            if (!data) return { ...DEFAULT_PREFERENCES };
+            if (!data) return getDefaultPreferences();
             
             const prefs = JSON.parse(data);
-            return { ...DEFAULT_PREFERENCES, ...prefs };
+            const defaults = getDefaultPreferences();
+            return {
+                ...defaults,
+                ...prefs,
+                // Thresholds saved for some limit types keep the defaults of the others
+                thresholds: { ...defaults.thresholds, ...prefs.thresholds }
+            };
         } catch (e) {
             console.error('Error reading preferences:', e);
-            return { ...DEFAULT_PREFERENCES };
+            return getDefaultPreferences();
         }
     }
 
+    /**
+     * A deep copy of the default preferences, so changing the copy
+     * (e.g. its thresholds) leaves the defaults alone
+     */
+    function getDefaultPreferences() {
+        return JSON.parse(JSON.stringify(DEFAULT_PREFERENCES));
+    }
+
     /**
      * Save user preferences
      * 
@@ -318,16 +391,8 @@ const StorageManager = (function() {
      * @returns {Array} Filtered records
      */
     function getRecordsByRange(days) {
-        const records = getDutyRecords();
-        const now = new Date();
-        const cutoffDate = new Date(now);
-        cutoffDate.setDate(cutoffDate.getDate() - days);
-        cutoffDate.setHours(0, 0, 0, 0);
-        
-        return records.filter(record => {
-            const recordDate = new Date(record.date);
-            return recordDate >= cutoffDate && recordDate <= now;
-        });
+        // Any duty that overlaps the range (exactly days x 24 hours)
+        return ComplianceChecker.filterByDateRange(getDutyRecords(), days);
     }
 
     /**
@@ -337,18 +402,17 @@ const StorageManager = (function() {
      */
     function getStats() {
         const allRecords = getDutyRecords();
-        const records7Day = getRecordsByRange(7);
-        const records28Day = getRecordsByRange(28);
+        const now = Date.now();
         
-        const sumDuty = (records) => records.reduce((sum, r) => sum + (r.dutyMinutes || 0), 0);
-        const sumFlight = (records) => records.reduce((sum, r) => sum + (r.flightMinutes || 0), 0);
+        // Totals as the rolling limits count them
+        const total = (metric, days) => ComplianceChecker.getRollingTotal(allRecords, metric, days, now);
         
         return {
             totalRecords: allRecords.length,
-            duty7Day: sumDuty(records7Day),
-            duty28Day: sumDuty(records28Day),
-            flight7Day: sumFlight(records7Day),
-            flight28Day: sumFlight(records28Day),
+            duty7Day: total('duty', 7),
+            duty28Day: total('duty', 28),
+            flight7Day: total('flightTime', 7),
+            flight28Day: total('flightTime', 28),
             lastEntry: allRecords.length > 0 ? allRecords[0].date : null
         };
     }
@@ -389,21 +453,27 @@ const StorageManager = (function() {
             return { success: false, error: 'Already on duty. End current duty first.' };
         }
 
+        const startTime = dutyInfo.startTime || new Date().toISOString();
+        const reportTimeZone = dutyInfo.reportTimeZone || getDefaultZone();
         const activeDuty = {
-            startTime: dutyInfo.startTime || new Date().toISOString(),
-            reportTime: dutyInfo.reportTime || new Date().toLocaleTimeString('en-US', { 
-                hour: '2-digit', 
-                minute: '2-digit', 
-                hour12: false 
-            }),
-            sectors: dutyInfo.sectors || 2,
+            dutyType: dutyInfo.dutyType || 'flight',
+            precedingStandby: dutyInfo.precedingStandby || null,
+            startTime: startTime,
+            reportTimeZone: reportTimeZone,
+            reportTime: dutyInfo.reportTime || TimeZones.getZonedParts(startTime, reportTimeZone).time,
+            sectors: dutyInfo.sectors === undefined ? 2 : dutyInfo.sectors,
+            positioningSectors: dutyInfo.positioningSectors || 0,
+            crewPilots: parseInt(dutyInfo.crewPilots, 10) || 2,
+            restFacility: dutyInfo.restFacility || null,
             acclimatized: dutyInfo.acclimatized !== false,
-            maxFdpMinutes: dutyInfo.maxFdpMinutes || 840, // 14 hours default
-            date: new Date().toISOString().split('T')[0]
+            maxFdpMinutes: dutyInfo.maxFdpMinutes || FDPCalculator.MAX_FDP_ABSOLUTE,
+            date: TimeZones.getZonedParts(startTime, reportTimeZone).date
         };
 
         try {
             localStorage.setItem(KEYS.ACTIVE_DUTY, JSON.stringify(activeDuty));
+            // A new duty ends any rest in progress
+            localStorage.removeItem(KEYS.ACTIVE_REST);
             return { success: true, duty: activeDuty };
         } catch (e) {
             console.error('Error starting duty:', e);
@@ -447,19 +517,26 @@ const StorageManager = (function() {
         }
 
         const endTime = endInfo.endTime || new Date();
-        const releaseTime = endTime.toLocaleTimeString('en-US', { 
-            hour: '2-digit', 
-            minute: '2-digit', 
-            hour12: false 
-        });
 
-        // Create a duty record from the active duty
+        // Create a duty record from the active duty; a delayed report moves its start
         const dutyRecord = {
-            date: currentDuty.date,
-            reportTime: currentDuty.reportTime,
-            releaseTime: releaseTime,
+            dutyType: currentDuty.dutyType || 'flight',
+            precedingStandby: currentDuty.precedingStandby || null,
+            delayedReporting: currentDuty.delayedReporting
+                ? { ...currentDuty.delayedReporting, originalReportDateTime: currentDuty.startTime }
+                : null,
+            reportDateTime: currentDuty.fdpStartTime && new Date(currentDuty.fdpStartTime) < endTime
+                ? currentDuty.fdpStartTime
+                : currentDuty.startTime,
+            reportTimeZone: currentDuty.reportTimeZone,
+            releaseDateTime: endTime.toISOString(),
+            releaseTimeZone: endInfo.timeZone || currentDuty.reportTimeZone,
             flightTime: endInfo.flightTime || 0,
-            sectors: currentDuty.sectors
+            sectors: currentDuty.sectors,
+            positioningSectors: currentDuty.positioningSectors || 0,
+            positioningTime: endInfo.positioningTime || 0,
+            crewPilots: currentDuty.crewPilots,
+            restFacility: currentDuty.restFacility
         };
 
         // Clear active duty
@@ -494,6 +571,197 @@ const StorageManager = (function() {
         }
     }
 
+    /**
+     * Get the rest in progress after the last duty
+     * 
+     * @returns {Object|null} Rest object or null if no rest is being tracked
+     */
+    function getActiveRest() {
+        if (!isStorageAvailable()) return null;
+
+        try {
+            const data = localStorage.getItem(KEYS.ACTIVE_REST);
+            if (!data) return null;
+            
+            return JSON.parse(data);
+        } catch (e) {
+            console.error('Error reading active rest:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Start tracking the rest after a duty
+     * The rest keeps the fields of the duty record that set the minimum rest,
+     * so it can be passed to RestCalculator.calculateForRecord.
+     * 
+     * @param {Object} record - Duty record the rest follows
+     * @returns {Object} Result with success status
+     */
+    function startRest(record) {
+        if (!isStorageAvailable()) {
+            return { success: false, error: 'Storage not available' };
+        }
+
+        const reportDate = new Date(record.reportDateTime);
+        const releaseDate = new Date(record.releaseDateTime);
+        if (isNaN(reportDate.getTime()) || isNaN(releaseDate.getTime())) {
+            return { success: false, error: 'Invalid duty times' };
+        }
+
+        const activeRest = {
+            recordId: record.id || null,
+            dutyType: record.dutyType || 'flight',
+            reportDateTime: reportDate.toISOString(),
+            reportTimeZone: record.reportTimeZone || getDefaultZone(),
+            releaseDateTime: releaseDate.toISOString(),
+            releaseTimeZone: record.releaseTimeZone || record.reportTimeZone || getDefaultZone(),
+            dutyMinutes: Math.max(0, Math.round((releaseDate - reportDate) / 60000)),
+            discretionReport: record.discretionReport
+                ? { usedMinutes: record.discretionReport.usedMinutes }
+                : null
+        };
+
+        try {
+            localStorage.setItem(KEYS.ACTIVE_REST, JSON.stringify(activeRest));
+            return { success: true, rest: activeRest };
+        } catch (e) {
+            console.error('Error starting rest:', e);
+            return { success: false, error: 'Failed to save active rest' };
+        }
+    }
+
+    /**
+     * Stop tracking the rest in progress
+     * 
+     * @returns {boolean} Success status
+     */
+    function clearActiveRest() {
+        if (!isStorageAvailable()) return false;
+
+        try {
+            localStorage.removeItem(KEYS.ACTIVE_REST);
+            return true;
+        } catch (e) {
+            console.error('Error clearing active rest:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get user-supplied rule packs
+     * 
+     * @returns {Array} Array of rule pack objects
+     */
+    function getRulePacks() {
+        if (!isStorageAvailable()) return [];
+
+        try {
+            const data = localStorage.getItem(KEYS.RULE_PACKS);
+            if (!data) return [];
+            
+            const packs = JSON.parse(data);
+            return Array.isArray(packs) ? packs : [];
+        } catch (e) {
+            console.error('Error reading rule packs:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Save user-supplied rule packs
+     * 
+     * @param {Array} packs - Array of rule pack objects
+     * @returns {boolean} Success status
+     */
+    function saveRulePacks(packs) {
+        if (!isStorageAvailable()) return false;
+
+        try {
+            localStorage.setItem(KEYS.RULE_PACKS, JSON.stringify(packs));
+            return true;
+        } catch (e) {
+            console.error('Error saving rule packs:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get the planned roster (duties as entered, not yet flown)
+     * 
+     * @returns {Array} Array of planned duty objects
+     */
+    function getRosterPlan() {
+        if (!isStorageAvailable()) return [];
+
+        try {
+            const data = localStorage.getItem(KEYS.ROSTER_PLAN);
+            if (!data) return [];
+            
+            const plan = JSON.parse(data);
+            return Array.isArray(plan) ? plan : [];
+        } catch (e) {
+            console.error('Error reading roster plan:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Save the planned roster
+     * 
+     * @param {Array} plan - Array of planned duty objects
+     * @returns {boolean} Success status
+     */
+    function saveRosterPlan(plan) {
+        if (!isStorageAvailable()) return false;
+
+        try {
+            localStorage.setItem(KEYS.ROSTER_PLAN, JSON.stringify(plan));
+            return true;
+        } catch (e) {
+            console.error('Error saving roster plan:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get the audit log of compliance status changes, newest first
+     * 
+     * @returns {Array} Array of audit log entries
+     */
+    function getAuditLog() {
+        if (!isStorageAvailable()) return [];
+
+        try {
+            const data = localStorage.getItem(KEYS.AUDIT_LOG);
+            if (!data) return [];
+            
+            const entries = JSON.parse(data);
+            return Array.isArray(entries) ? entries : [];
+        } catch (e) {
+            console.error('Error reading audit log:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Save the audit log, dropping the oldest entries past MAX_AUDIT_ENTRIES
+     * 
+     * @param {Array} entries - Array of audit log entries, newest first
+     * @returns {boolean} Success status
+     */
+    function saveAuditLog(entries) {
+        if (!isStorageAvailable()) return false;
+
+        try {
+            localStorage.setItem(KEYS.AUDIT_LOG, JSON.stringify(entries.slice(0, MAX_AUDIT_ENTRIES)));
+            return true;
+        } catch (e) {
+            console.error('Error saving audit log:', e);
+            return false;
+        }
+    }
+
     /**
      * Export all data as JSON
      * 
@@ -503,6 +771,8 @@ const StorageManager = (function() {
         return JSON.stringify({
             records: getDutyRecords(),
             preferences: getPreferences(),
+            rulePacks: getRulePacks(),
+            auditLog: getAuditLog(),
             exportedAt: new Date().toISOString(),
             version: '1.0'
         }, null, 2);
@@ -519,6 +789,7 @@ const StorageManager = (function() {
             const data = JSON.parse(jsonString);
             
             if (data.records && Array.isArray(data.records)) {
+                data.records.forEach(migrateLegacyRecord);
                 saveDutyRecords(data.records);
             }
             
@@ -526,6 +797,14 @@ const StorageManager = (function() {
                 savePreferences(data.preferences);
             }
             
+            if (data.rulePacks && Array.isArray(data.rulePacks)) {
+                saveRulePacks(data.rulePacks);
+            }
+            
+            if (data.auditLog && Array.isArray(data.auditLog)) {
+                saveAuditLog(data.auditLog);
+            }
+            
             return {
                 success: true,
                 recordsImported: data.records ? data.records.length : 0
@@ -545,6 +824,13 @@ const StorageManager = (function() {
         return 'duty_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    /**
+     * Shift a YYYY-MM-DD date by a number of days
+     */
+    function addDays(dateStr, days) {
+        return new Date(Date.parse(dateStr + 'T00:00:00Z') + days * 86400000).toISOString().slice(0, 10);
+    }
+
     /**
      * Convert time string to minutes
      */
@@ -554,9 +840,105 @@ const StorageManager = (function() {
         return parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10);
     }
 
+    /**
+     * Zone used when a record or duty does not name one
+     */
+    function getDefaultZone() {
+        const prefs = getPreferences();
+        return prefs.currentZone || prefs.homeBase || TimeZones.getBrowserZone();
+    }
+
+    /**
+     * Resolve the absolute report and release instants of a duty
+     * 
+     * @param {Object} record - Record with ISO timestamps or local date/time fields
+     * @returns {Object} { report, release, reportZone, releaseZone }, or { error }
+     */
+    function resolveDutyTimes(record) {
+        const reportZone = record.reportTimeZone || TimeZones.getBrowserZone();
+        const releaseZone = record.releaseTimeZone || reportZone;
+        
+        if (!TimeZones.isValidZone(reportZone) || !TimeZones.isValidZone(releaseZone)) {
+            return { error: 'Unknown time zone' };
+        }
+
+        let report = record.reportDateTime ? new Date(record.reportDateTime) : null;
+        let release = record.releaseDateTime ? new Date(record.releaseDateTime) : null;
+
+        if (!report) {
+            report = TimeZones.fromZonedDateTime(record.date, record.reportTime, reportZone);
+        }
+        if (!release) {
+            release = TimeZones.fromZonedDateTime(record.releaseDate || record.date, record.releaseTime, releaseZone);
+        }
+
+        if (!report || !release || isNaN(report.getTime()) || isNaN(release.getTime())) {
+            return { error: 'Missing required fields (report and release date-time)' };
+        }
+        if (release < report) {
+            return { error: 'Release date-time must be after report date-time' };
+        }
+
+        return { report: report, release: release, reportZone: reportZone, releaseZone: releaseZone };
+    }
+
+    /**
+     * Build the time fields stored on a duty record
+     * Local date/time fields (at each end's zone) are kept for display
+     * alongside the ISO timestamps.
+     */
+    function describeDutyTimes(times) {
+        const reportLocal = TimeZones.getZonedParts(times.report, times.reportZone);
+        const releaseLocal = TimeZones.getZonedParts(times.release, times.releaseZone);
+
+        return {
+            date: reportLocal.date,
+            reportTime: reportLocal.time,
+            reportDateTime: times.report.toISOString(),
+            reportTimeZone: times.reportZone,
+            releaseDate: releaseLocal.date,
+            releaseTime: releaseLocal.time,
+            releaseDateTime: times.release.toISOString(),
+            releaseTimeZone: times.releaseZone,
+            dutyMinutes: Math.round((times.release - times.report) / 60000)
+        };
+    }
+
+    /**
+     * Add absolute timestamps to a record saved before they existed
+     * Release is assumed to be on the next day when it is earlier than report.
+     * 
+     * @returns {boolean} Whether the record was changed
+     */
+    function migrateLegacyRecord(record) {
+        if (record.reportDateTime && record.releaseDateTime && record.reportTimeZone) return false;
+
+        const zone = record.reportTimeZone || TimeZones.getBrowserZone();
+        let report = record.reportDateTime ? new Date(record.reportDateTime) : null;
+        let release = record.releaseDateTime ? new Date(record.releaseDateTime) : null;
+
+        if (!report) {
+            report = TimeZones.fromZonedDateTime(record.date, record.reportTime, zone);
+            if (!report) return false;
+        }
+        if (!release) {
+            release = new Date(report.getTime() +
+                (((timeToMinutes(record.releaseTime) - timeToMinutes(record.reportTime)) + 1440) % 1440) * 60000);
+        }
+
+        Object.assign(record, describeDutyTimes({
+            report: report,
+            release: release,
+            reportZone: zone,
+            releaseZone: record.releaseTimeZone || zone
+        }));
+        return true;
+    }
+
     // Public API
     return {
         getDutyRecords,
+        migrateDutyRecords,
         saveDutyRecords,
         addDutyRecord,
         updateDutyRecord,
@@ -575,6 +957,19 @@ const StorageManager = (function() {
         updateActiveDuty,
         endDuty,
         cancelActiveDuty,
+        // Rest tracking
+        getActiveRest,
+        startRest,
+        clearActiveRest,
+        // Rule packs
+        getRulePacks,
+        saveRulePacks,
+        // Roster planning
+        getRosterPlan,
+        saveRosterPlan,
+        // Audit log
+        getAuditLog,
+        saveAuditLog,
         KEYS,
         DEFAULT_PREFERENCES
     };
@@ -0,0 +1,291 @@
+/**
+ * Time Zones - IANA Time Zone Conversion Helpers
+ * Based on the browser's Intl API (no external time zone data)
+ *
+ * This module converts between absolute instants (UTC) and:
+ * - Local date/time at a named IANA zone (e.g. America/Halifax)
+ * - Zone offsets and abbreviations for display
+ * - Local-at-departure, home-base and Zulu renderings of one moment
+ */
+
+const TimeZones = (function() {
+    'use strict';
+
+    /**
+     * Zones offered in selectors
+     * Canadian bases first, then common destinations
+     */
+    const COMMON_ZONES = [
+        'America/St_Johns',
+        'America/Halifax',
+        'America/Moncton',
+        'America/Toronto',
+        'America/Winnipeg',
+        'America/Regina',
+        'America/Edmonton',
+        'America/Vancouver',
+        'America/Whitehorse',
+        'America/Iqaluit',
+        'America/Yellowknife',
+        'America/New_York',
+        'America/Chicago',
+        'America/Denver',
+        'America/Phoenix',
+        'America/Los_Angeles',
+        'America/Cancun',
+        'America/Mexico_City',
+        'America/Havana',
+        'America/Santo_Domingo',
+        'Pacific/Honolulu',
+        'Atlantic/Reykjavik',
+        'Europe/London',
+        'Europe/Dublin',
+        'Europe/Lisbon',
+        'Europe/Paris',
+        'Europe/Berlin',
+        'Europe/Rome',
+        'Europe/Athens',
+        'Asia/Dubai',
+        'Asia/Tokyo',
+        'Asia/Hong_Kong',
+        'Asia/Shanghai',
+        'Australia/Sydney',
+        'UTC'
+    ];
+
+    /**
+     * Cached Intl formatters by zone
+     */
+    const partFormatters = {};
+
+    /**
+     * Get (and cache) a formatter that splits an instant into zone-local parts
+     */
+    function getPartFormatter(zone) {
+        if (!partFormatters[zone]) {
+            partFormatters[zone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+        }
+        return partFormatters[zone];
+    }
+
+    /**
+     * Check whether a string is an IANA zone the browser knows
+     */
+    function isValidZone(zone) {
+        if (!zone || typeof zone !== 'string') return false;
+
+        try {
+            getPartFormatter(zone);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Get the browser's own time zone
+     */
+    function getBrowserZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (e) {
+            return 'UTC';
+        }
+    }
+
+    /**
+     * Split an instant into local calendar parts at a zone
+     *
+     * @param {Date|string} instant - Date or ISO date-time
+     * @param {string} zone - IANA time zone
+     * @returns {Object} { year, month, day, hour, minute, second, date, time, minutes }
+     */
+    function getZonedParts(instant, zone) {
+        const date = instant instanceof Date ? instant : new Date(instant);
+        const parts = {};
+
+        getPartFormatter(zone).formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') {
+                parts[part.type] = parseInt(part.value, 10);
+            }
+        });
+
+        const pad = (n) => n.toString().padStart(2, '0');
+
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            hour: parts.hour,
+            minute: parts.minute,
+            second: parts.second,
+            date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+            time: `${pad(parts.hour)}:${pad(parts.minute)}`,
+            minutes: parts.hour * 60 + parts.minute
+        };
+    }
+
+    /**
+     * Get a zone's UTC offset in minutes at an instant (east of UTC is positive)
+     */
+    function getOffsetMinutes(zone, instant) {
+        const date = instant instanceof Date ? instant : new Date(instant);
+        const parts = getZonedParts(date, zone);
+        const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+        return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * Convert a local date and time at a zone to an absolute instant
+     *
+     * @param {string} dateStr - Local date (YYYY-MM-DD)
+     * @param {string} timeStr - Local time (HH:MM)
+     * @param {string} zone - IANA time zone
+     * @returns {Date|null} Absolute instant, or null for invalid input
+     */
+    function fromZonedDateTime(dateStr, timeStr, zone) {
+        if (!dateStr || !timeStr || !isValidZone(zone)) return null;
+
+        const [year, month, day] = dateStr.split('-').map(n => parseInt(n, 10));
+        const [hour, minute] = timeStr.split(':').map(n => parseInt(n, 10));
+        if ([year, month, day, hour, minute].some(n => isNaN(n))) return null;
+
+        // Treat the wall-clock time as UTC, then correct by the zone offset.
+        // A second pass settles instants next to a daylight saving change.
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+        let instant = wallClock - getOffsetMinutes(zone, new Date(wallClock)) * 60000;
+        instant = wallClock - getOffsetMinutes(zone, new Date(instant)) * 60000;
+
+        return new Date(instant);
+    }
+
+    /**
+     * Get the short zone name at an instant (e.g. "ADT", "GMT-3")
+     */
+    function getAbbreviation(zone, instant) {
+        const date = instant ? new Date(instant) : new Date();
+
+        try {
+            const name = new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                timeZoneName: 'short'
+            }).formatToParts(date).find(part => part.type === 'timeZoneName');
+
+            return name ? name.value : zone;
+        } catch (e) {
+            return zone;
+        }
+    }
+
+    /**
+     * Human-readable label for a zone selector (e.g. "Halifax (UTC-03:00)")
+     */
+    function getZoneLabel(zone, instant) {
+        const city = zone === 'UTC' ? 'UTC' : zone.split('/').pop().replace(/_/g, ' ');
+        const offset = getOffsetMinutes(zone, instant || new Date());
+        const sign = offset < 0 ? '-' : '+';
+        const hours = Math.floor(Math.abs(offset) / 60).toString().padStart(2, '0');
+        const minutes = (Math.abs(offset) % 60).toString().padStart(2, '0');
+
+        return `${city} (UTC${sign}${hours}:${minutes})`;
+    }
+
+    /**
+     * Format an instant as local time at a zone
+     *
+     * @param {Date|string} instant - Date or ISO date-time
+     * @param {string} zone - IANA time zone
+     * @param {Object} options - { withDate: include "Mar 5, ", withZone: append abbreviation }
+     * @returns {string} Formatted time
+     */
+    function format(instant, zone, options = {}) {
+        if (!instant) return '--:--';
+
+        const date = instant instanceof Date ? instant : new Date(instant);
+        if (isNaN(date.getTime())) return '--:--';
+
+        let text = getZonedParts(date, zone).time;
+
+        if (options.withDate) {
+            const day = date.toLocaleDateString('en-US', { timeZone: zone, month: 'short', day: 'numeric' });
+            text = `${day}, ${text}`;
+        }
+        if (options.withZone) {
+            text += zone === 'UTC' ? 'Z' : ` ${getAbbreviation(zone, date)}`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Render one instant as local-at-departure, home-base and Zulu
+     *
+     * @param {Date|string} instant - Date or ISO date-time
+     * @param {string} localZone - Zone at the place of departure
+     * @param {string} homeZone - Home base zone
+     * @returns {Object} { local, home, zulu } formatted strings
+     */
+    function formatTriple(instant, localZone, homeZone) {
+        return {
+            local: format(instant, localZone, { withDate: true, withZone: true }),
+            home: format(instant, homeZone, { withDate: true, withZone: true }),
+            zulu: format(instant, 'UTC', { withDate: true, withZone: true })
+        };
+    }
+
+    /**
+     * Whole days between two local dates (YYYY-MM-DD)
+     */
+    function daysBetween(fromDate, toDate) {
+        return Math.round((Date.parse(toDate + 'T00:00:00Z') - Date.parse(fromDate + 'T00:00:00Z')) / 86400000);
+    }
+
+    /**
+     * List zones for selectors, including any extra zones in use
+     *
+     * @param {Array} extraZones - Zones to include (e.g. from logged records)
+     * @returns {Array} Sorted list of { zone, label }
+     */
+    function listZones(extraZones = []) {
+        const zones = new Set(COMMON_ZONES);
+        [getBrowserZone(), ...extraZones].forEach(zone => {
+            if (isValidZone(zone)) zones.add(zone);
+        });
+
+        const now = new Date();
+        return Array.from(zones)
+            .map(zone => ({ zone: zone, label: getZoneLabel(zone, now), offset: getOffsetMinutes(zone, now) }))
+            .sort((a, b) => a.offset - b.offset || a.label.localeCompare(b.label))
+            .map(({ zone, label }) => ({ zone, label }));
+    }
+
+    // Public API
+    return {
+        isValidZone,
+        getBrowserZone,
+        getZonedParts,
+        getOffsetMinutes,
+        fromZonedDateTime,
+        getAbbreviation,
+        getZoneLabel,
+        format,
+        formatTriple,
+        daysBetween,
+        listZones
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeZones;
+}